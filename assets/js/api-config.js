@@ -1,57 +1,48 @@
 // API Configuration
-// Switch between local JSON and CMS API
-const API_CONFIG = {
-  // Set to true to use CMS API, false to use local JSON
-  USE_CMS_API: true,
+// Shared with data-loader.js: endpoints, timeouts and the CMS toggle come
+// from the environment profile in assets/js/env-config.js (load it first).
+// Use ?env=development|staging|production to switch profiles.
+const API_CONFIG = window.EnvConfig.config;
 
-  // CMS API base URL (update this with your actual CMS URL)
-  CMS_BASE_URL: 'https://dxp-dubai-cms-cop4.vercel.app/api',
+// Requires assets/js/resilient-fetch.js to be loaded first
+const cmsBreaker = window.ResilientFetch.createCircuitBreaker({
+  storageKey: API_CONFIG.CIRCUIT_BREAKER.STORAGE_KEY,
+  failureThreshold: API_CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+  cooldown: API_CONFIG.CIRCUIT_BREAKER.COOLDOWN_MS
+});
 
-  // Local JSON fallback paths
-  LOCAL_PATHS: {
-    projects: 'data/project.json',
-    about: 'data/about.json',
-    contact: 'data/contact.json',
-    header: 'data/header.json'
-  }
+const REQUEST_OPTIONS = {
+  timeout: API_CONFIG.REQUEST.TIMEOUT_MS,
+  retries: API_CONFIG.REQUEST.RETRIES,
+  retryDelay: API_CONFIG.REQUEST.RETRY_BASE_DELAY_MS
 };
 
 // Generic fetch function with fallback
 async function fetchData(endpoint, localPath) {
-  try {
-    const url = API_CONFIG.USE_CMS_API
-      ? `${API_CONFIG.CMS_BASE_URL}/${endpoint}`
-      : localPath;
-
+  // Go straight to local JSON while the CMS circuit is open
+  if (API_CONFIG.USE_CMS_API && !cmsBreaker.isOpen()) {
+    const url = `${API_CONFIG.CMS_BASE_URL}/${endpoint}`;
     console.log(`Fetching ${endpoint} from: ${url}`);
 
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching ${endpoint}:`, error);
-
-    // If CMS API fails, try fallback to local JSON
-    if (API_CONFIG.USE_CMS_API) {
+    try {
+      const data = await window.ResilientFetch.fetchJSON(url, REQUEST_OPTIONS);
+      cmsBreaker.recordSuccess();
+      return data;
+    } catch (error) {
+      console.error(`Error fetching ${endpoint}:`, error);
+      cmsBreaker.recordFailure();
       console.log(
         `CMS API failed for ${endpoint}, falling back to local JSON...`
       );
-      try {
-        const response = await fetch(localPath);
-        return await response.json();
-      } catch (fallbackError) {
-        console.error(
-          `Fallback to local JSON also failed for ${endpoint}:`,
-          fallbackError
-        );
-        throw fallbackError;
-      }
     }
+  } else if (API_CONFIG.USE_CMS_API) {
+    console.log(`CMS circuit open, using local JSON for ${endpoint}`);
+  }
 
+  try {
+    return await window.ResilientFetch.fetchJSON(localPath, REQUEST_OPTIONS);
+  } catch (error) {
+    console.error(`Local JSON failed for ${endpoint}:`, error);
     throw error;
   }
 }
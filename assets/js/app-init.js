@@ -2,33 +2,41 @@
  * Centralized App Initializer
  * Single source of truth for app initialization and routing
  * Handles page-specific logic and route changes
+ * Publishes route:change on the EventBus when the SPA router changes the path
  */
 
 (function() {
   'use strict';
 
+  const bus = window.EventBus;
+
   let lastPath = window.location.pathname;
   let checkInterval = null;
+  // Set once site-config.js announces the initial route
+  let initialRouteHandled = false;
+
+  // Views still showing their skeleton (data-load-state="pending") or an
+  // error are loaded; loading and loaded ones are left alone
+  function needsLoad(view) {
+    return !!window.PageRenderer && window.PageRenderer.needsLoad(view);
+  }
 
   function checkAndLoadIndexProjects() {
-    const worksContainer = document.getElementById('works');
-    if (worksContainer && worksContainer.children.length === 0) {
+    if (needsLoad('index-projects')) {
       console.log('Loading index projects...');
       loadIndexProjects();
     }
   }
 
   function checkAndLoadAboutContent() {
-    const aboutBox = document.querySelector('.box--about');
-    if (aboutBox && aboutBox.textContent.includes('Loading')) {
+    if (needsLoad('about')) {
       console.log('Loading about content...');
       loadAboutContent();
     }
   }
 
   function checkAndLoadContactContent() {
-    const staffList = document.querySelector('.list--staff');
-    if (staffList && staffList.textContent.includes('Loading')) {
+    if (needsLoad('contact-staff') || needsLoad('contact-address')) {
       console.log('Loading contact content...');
       loadContactContent();
     }
@@ -37,9 +45,7 @@
   async function loadIndexProjects() {
     try {
       console.log('Loading projects for index page...');
-      const projects = await window.fetchProjects();
-      window.PageRenderer.renderIndexProjects(projects);
-      window.PageRenderer.renderHomepageSlider(projects);
+      await window.PageRenderer.loadIndexPage();
     } catch (error) {
       console.error('Error loading projects:', error);
     }
@@ -48,8 +54,7 @@
   async function loadAboutContent() {
     try {
       console.log('Loading about page content...');
-      const data = await window.fetchAbout();
-      window.PageRenderer.renderAboutContent(data.page);
+      await window.PageRenderer.loadAboutPage();
     } catch (error) {
       console.error('Error loading about content:', error);
     }
@@ -58,13 +63,20 @@
   async function loadContactContent() {
     try {
       console.log('Loading contact page content...');
-      const data = await window.fetchContact();
-      window.PageRenderer.renderContactContent(data.page);
+      await window.PageRenderer.loadContactPage();
     } catch (error) {
       console.error('Error loading contact content:', error);
     }
   }
 
+  function slugFromPath(path) {
+    if (path.includes('/works')) return 'works';
+    if (path === '/' || path.includes('index')) return 'homepage';
+    if (path.includes('/about')) return 'about';
+    if (path.includes('/contact')) return 'contact';
+    return 'unknown';
+  }
+
   function handleRouteChange() {
     const currentPath = window.location.pathname;
     
@@ -72,23 +84,37 @@
       console.log('Route changed from', lastPath, 'to', currentPath);
       lastPath = currentPath;
 
-      setTimeout(function() {
-        if (currentPath.includes('/works')) {
-          console.log('Works page detected');
-        } else if (currentPath === '/' || currentPath.includes('index')) {
-          checkAndLoadIndexProjects();
-        } else if (currentPath.includes('/about')) {
-          checkAndLoadAboutContent();
-        } else if (currentPath.includes('/contact')) {
-          checkAndLoadContactContent();
-        }
-      }, 200);
+      bus.emit('route:change', {
+        path: currentPath,
+        slug: slugFromPath(currentPath),
+        initial: false
+      });
     }
   }
 
+  function onRouteChange(detail) {
+    if (detail.initial) {
+      initialRouteHandled = true;
+      return;
+    }
+
+    // Give the router a moment to swap the page content in
+    setTimeout(function() {
+      if (detail.slug === 'works') {
+        console.log('Works page detected');
+      } else if (detail.slug === 'homepage') {
+        checkAndLoadIndexProjects();
+      } else if (detail.slug === 'about') {
+        checkAndLoadAboutContent();
+      } else if (detail.slug === 'contact') {
+        checkAndLoadContactContent();
+      }
+    }, 200);
+  }
+
   function initializeCurrentPage() {
-    // Skip if site-config.js already loaded initial page
-    if (window.__initialPageLoaded) {
+    // Skip if site-config.js already announced (and loaded) the initial page
+    if (initialRouteHandled) {
       console.log('⏸ Initial page already loaded by site-config.js, skipping app-init');
       return;
     }
@@ -120,6 +146,7 @@
       setTimeout(initializeCurrentPage, 100);
     });
 
+    bus.on('route:change', onRouteChange, { replay: true });
     checkInterval = setInterval(handleRouteChange, 100);
   }
 
@@ -0,0 +1,166 @@
+/**
+ * Category Filter
+ * Builds the `.projects-nav` filter links from the distinct `data_cat`
+ * values in fetchProjects(), with a count per category, and keeps the
+ * selection in the URL (`?cat=government`) so filtered grids can be shared
+ * and survive reloads and back/forward.
+ *
+ * Selecting a filter publishes `filter:change { filter: 'category', value }`;
+ * PageRenderer re-renders the project grids for it.
+ */
+
+(function () {
+  'use strict';
+
+  const QUERY_PARAM = 'cat';
+  const ALL = '*';
+  const GRID_VIEWS = ['index-projects', 'works-projects'];
+
+  const bus = window.EventBus;
+  const { html } = window.SafeHTML;
+
+  // Category the grids were last rendered for
+  let applied = current();
+  // Markup last written to each nav list, to skip identical rebuilds
+  const renderedLists = new WeakMap();
+
+  // Active data_cat from the URL, or null for all projects
+  function current() {
+    const value = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+    return value && value !== ALL ? value : null;
+  }
+
+  // Distinct categories in project order, labelled with the project's category name
+  function categoriesOf(projects) {
+    const byValue = new Map();
+
+    projects.forEach(project => {
+      const value = project.data_cat;
+      if (!value) return;
+
+      if (!byValue.has(value)) {
+        byValue.set(value, { value, label: project.category || value, count: 0 });
+      }
+      byValue.get(value).count++;
+    });
+
+    return Array.from(byValue.values());
+  }
+
+  function hrefFor(category) {
+    const url = new URL(window.location.href);
+    if (category) {
+      url.searchParams.set(QUERY_PARAM, category);
+    } else {
+      url.searchParams.delete(QUERY_PARAM);
+    }
+    return `${url.pathname}${url.search}`;
+  }
+
+  function navHTML(projects) {
+    const link = (category, label, count) => html`
+                  <li>
+                    <a href="${hrefFor(category)}" class="js-filter-cat" data-cat="${category || ALL}">${label} <span class="projects-nav__count">${count}</span></a>
+                  </li>`;
+
+    return html`${link(null, 'all', projects.length)}${
+      categoriesOf(projects).map(category => link(category.value, category.label, category.count))
+    }`.toString();
+  }
+
+  function injectStyles() {
+    const styleId = 'category-filter-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .projects-nav__count {
+        margin-left: 2px;
+        font-size: 0.75em;
+        font-weight: 400;
+        vertical-align: super;
+        opacity: 0.6;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function markActive() {
+    const active = applied || ALL;
+    document.querySelectorAll('.projects-nav .js-filter-cat').forEach(link => {
+      const isActive = link.getAttribute('data-cat') === active;
+      link.classList.toggle('is-active', isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'true');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  async function renderNav() {
+    const lists = document.querySelectorAll('.projects-nav .list--cat');
+    if (!lists.length) return;
+
+    try {
+      const markup = navHTML(await window.fetchProjects());
+      injectStyles();
+
+      lists.forEach(list => {
+        if (renderedLists.get(list) === markup) return;
+        list.innerHTML = markup;
+        renderedLists.set(list, markup);
+      });
+    } catch (error) {
+      console.warn('⚠ Could not build category filters:', error);
+    }
+
+    markActive();
+  }
+
+  // Re-render the grids if the category differs from what they show
+  function apply(category) {
+    if (category === applied) {
+      markActive();
+      return;
+    }
+
+    applied = category;
+    markActive();
+    bus.emit('filter:change', { filter: 'category', value: category });
+    console.log(`✓ Category filter: ${category || 'all'}`);
+  }
+
+  function select(category) {
+    const next = category && category !== ALL ? category : null;
+    if (next !== current()) {
+      window.history.pushState(window.history.state, '', hrefFor(next) + window.location.hash);
+    }
+    apply(next);
+  }
+
+  function handleClick(event) {
+    const link = event.target.closest && event.target.closest('.projects-nav .js-filter-cat');
+    if (!link || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    event.preventDefault();
+    select(link.getAttribute('data-cat'));
+  }
+
+  document.addEventListener('click', handleClick);
+  window.addEventListener('popstate', () => apply(current()));
+
+  // Grids render on first load and after SPA navigation; the nav follows them
+  bus.on('render:done', detail => {
+    if (!GRID_VIEWS.includes(detail.view) || detail.append || detail.partial) return;
+    applied = current();
+    renderNav();
+  });
+
+  window.CategoryFilter = {
+    current,
+    select,
+    categoriesOf
+  };
+})();
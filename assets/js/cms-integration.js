@@ -1,15 +1,17 @@
 /**
  * Poster.tv CMS Integration
  * This script fetches content from the CMS API and updates the existing HTML
- * Add this script to your index.html before the closing </body> tag:
+ * Add this script to your index.html before the closing </body> tag,
+ * after data-loader.js (records are normalized by DataLoader.normalizeProjects)
+ * and project-card.js (grid cards come from ProjectCard.element):
  * <script src="assets/js/cms-integration.js"></script>
+ * The endpoint is CMS_PHP_ENDPOINT from the active profile in env-config.js
  */
 
 (function() {
     'use strict';
     
-    const CMS_API = '/api/projects.php';
-    const VIMEO_BASE = 'https://player.vimeo.com/progressive_redirect/playback';
+    const CMS_API = window.EnvConfig.config.CMS_PHP_ENDPOINT;
     
     /**
      * Initialize CMS content loading
@@ -29,7 +31,10 @@
         try {
             // Load featured projects for homepage carousel
             const featuredResponse = await fetch(`${CMS_API}?featured=1`);
-            const featuredProjects = await featuredResponse.json();
+            const featuredProjects = window.DataLoader.normalizeProjects(
+                await featuredResponse.json(),
+                'cms'
+            );
             
             if (featuredProjects && featuredProjects.length > 0) {
                 updateFeaturedCarousel(featuredProjects);
@@ -38,7 +43,10 @@
             
             // Load all projects for the grid
             const allResponse = await fetch(CMS_API);
-            const allProjects = await allResponse.json();
+            const allProjects = window.DataLoader.normalizeProjects(
+                await allResponse.json(),
+                'cms'
+            );
             
             if (allProjects && allProjects.length > 0) {
                 updateProjectsGrid(allProjects);
@@ -106,7 +114,7 @@
         projects.forEach(project => {
             const video = document.createElement('video');
             video.className = 'js-video player-animated-player';
-            video.setAttribute('data-src', buildVimeoUrl(project.vimeo_id_720p, '720p'));
+            video.setAttribute('data-src', project.video_url);
             video.setAttribute('playsinline', '');
             video.setAttribute('loop', '');
             video.setAttribute('muted', '');
@@ -122,13 +130,13 @@
         li.className = index === 0 ? 'is-active' : '';
         
         const a = document.createElement('a');
-        a.href = `works/${project.slug}`;
+        a.href = project.link;
         a.className = 'js-change-video';
         
         a.innerHTML = `
             <h2>${escapeHtml(project.title)}</h2>
-            <p>${escapeHtml(project.director)}</p>
-            <p>${formatCategory(project.category)}</p>
+            <p>${escapeHtml(project.client)}</p>
+            <p>${escapeHtml(project.category)}</p>
         `;
         
         li.appendChild(a);
@@ -141,7 +149,7 @@
     function createMainVideo(project, index) {
         const video = document.createElement('video');
         video.className = 'js-main-video' + (index === 0 ? ' visible' : '');
-        video.setAttribute('data-src', buildVimeoUrl(project.vimeo_id_1080p, '1080p'));
+        video.setAttribute('data-src', project.video_url_hd);
         video.setAttribute('muted', '');
         video.setAttribute('playsinline', '');
         return video;
@@ -154,7 +162,7 @@
         const mainLink = document.querySelector('.box--home__link');
         if (!mainLink) return;
         
-        mainLink.href = `works/${project.slug}`;
+        mainLink.href = project.link;
         mainLink.setAttribute('data-navigo', '');
         
         // Update cursor text
@@ -194,49 +202,7 @@
      * Create project card for grid
      */
     function createProjectCard(project) {
-        const li = document.createElement('li');
-        li.className = 'box box--work';
-        li.setAttribute('data-cat', project.category);
-        
-        const a = document.createElement('a');
-        a.href = `works/${project.slug}`;
-        a.className = 'box--work__link js-has-cursor-text';
-        a.setAttribute('data-navigo', '');
-        
-        a.innerHTML = `
-            <div class="box--work__info">
-                <h2>${escapeHtml(project.title)}</h2>
-                <p>${escapeHtml(project.director)}</p>
-                <p>${formatCategory(project.category)}</p>
-            </div>
-            
-            <div class="box--work__video video-wrapper has-poster">
-                ${project.poster_image_url ? `
-                    <img class="video-img-poster lazy-media" 
-                         data-src="${escapeHtml(project.poster_image_url)}" 
-                         alt="${escapeHtml(project.title)}">
-                ` : ''}
-                <video class="js-video lazy-media" 
-                       data-src="${buildVimeoUrl(project.vimeo_id_720p, '720p')}"
-                       playsinline loop muted></video>
-            </div>
-            
-            <div class="cursor-text-animated js-cursor-text-animated">
-                <div class="mooving-elements is-arrow" data-friction="1">
-                    <svg width="11" height="10" viewBox="0 0 11 10" fill="none" xmlns="http://www.w3.org/2000/svg">
-                        <path d="M8.72366 3.91174H7.0685L5.14349 3.8482L6.53777 4.99985L8.40882 6.65189L7.19444 7.72412L5.3234 6.07209L4.01007 4.83306L4.07303 6.50892L4.06404 8.02593L2.3819 6.54069L2.39989 2.42649L7.04152 2.42649L8.72366 3.91174Z" fill="white"/>
-                    </svg>
-                </div>
-                <div class="mooving-elements shift cursor-main-text" data-friction="5">
-                    <h2>${escapeHtml(project.title)}</h2>
-                    <p>${escapeHtml(project.director)}</p>
-                    <p>${formatCategory(project.category)}</p>
-                </div>
-            </div>
-        `;
-        
-        li.appendChild(a);
-        return li;
+        return window.ProjectCard.element(project, { link: 'navigo' });
     }
     
     /**
@@ -254,24 +220,6 @@
         }
     }
     
-    /**
-     * Build Vimeo video URL
-     */
-    function buildVimeoUrl(videoId, quality) {
-        // Using the same URL pattern as your existing site
-        return `${VIMEO_BASE}/${videoId}/rendition/${quality}/file.mp4?loc=external&oauth2_token_id=1774001646&signature=dummy`;
-    }
-    
-    /**
-     * Format category for display
-     */
-    function formatCategory(category) {
-        return category
-            .split('-')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(' ');
-    }
-    
     /**
      * Escape HTML to prevent XSS
      */
@@ -0,0 +1,508 @@
+/**
+ * Contact Form
+ * Project enquiries from the form on contact.html: validation, a honeypot
+ * against spam bots and a pluggable transport for sending.
+ *
+ *   endpoint  POSTs the fields and attachments as multipart form data to
+ *             `endpoint` (falls back to mailto while none is set)
+ *   mock      resolves after `mockDelay` ms without sending anything
+ *             (`mockFail` to see the failure state)
+ *   mailto    opens the visitor's email app with the enquiry filled in;
+ *             attachments are listed by name to be attached there
+ *
+ * The transport and limits come from `features.contactForm` in config.json.
+ * ContactForm.registerTransport(name, send) adds another one; `send`
+ * receives ({ fields, attachments }, settings) and returns a promise.
+ *
+ * Handlers are delegated from the document, so the form keeps working
+ * when the SPA router swaps the contact page in. Its styles are injected
+ * the first time a form is found, so other pages are left untouched.
+ */
+
+(function () {
+  'use strict';
+
+  const FORM_ID = 'contact-form';
+
+  const DEFAULTS = {
+    enabled: true,
+    transport: 'mailto',
+    endpoint: '',
+    recipient: '',
+    subject: 'Project enquiry',
+    timeout: 15000,
+    maxAttachments: 5,
+    maxAttachmentMB: 10,
+    accept: ['.pdf', '.doc', '.docx', '.ppt', '.pptx', '.key', '.jpg', '.jpeg', '.png'],
+    mockDelay: 800,
+    mockFail: false
+  };
+
+  const FIELDS = ['name', 'company', 'email', 'phone', 'message'];
+
+  // 05X XXX XXXX mobiles and 0X XXX XXXX landlines, with +971 / 00971 or a leading 0
+  const UAE_PHONE = /^(?:\+971|00971|0)(?:5[024568]\d{7}|[234679]\d{7})$/;
+  // Any other country code: E.164, up to 15 digits
+  const INTERNATIONAL_PHONE = /^(?:\+|00)[1-9]\d{7,14}$/;
+  const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+  // Letters in any script, digits and the punctuation of names like "Smith & Co. (Dubai)"
+  const COMPANY = /^[\p{L}\p{M}\p{N} &.,'’()\/+-]+$/u;
+
+  const bus = window.EventBus;
+  const { html } = window.SafeHTML;
+
+  const transports = {};
+  // Files picked so far, per form element
+  const attachments = new WeakMap();
+  let settingsPromise = null;
+
+  function getSettings() {
+    if (!settingsPromise) {
+      settingsPromise = window.DataLoader.fetchSiteConfig()
+        .then(config => ({ ...DEFAULTS, ...(config.features && config.features.contactForm) }))
+        .catch(() => DEFAULTS);
+    }
+    return settingsPromise;
+  }
+
+  function injectStyles() {
+    const styleId = 'contact-form-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .box--enquiry {
+        max-width: 520px;
+        margin-top: 40px;
+      }
+      .contact-form__field {
+        margin-bottom: 16px;
+      }
+      .contact-form__field label {
+        display: block;
+        margin-bottom: 4px;
+        font-size: 12px;
+        opacity: 0.6;
+      }
+      .contact-form input[type="text"],
+      .contact-form input[type="email"],
+      .contact-form input[type="tel"],
+      .contact-form textarea {
+        display: block;
+        width: 100%;
+        padding: 8px 0;
+        border: 0;
+        border-bottom: 1px solid currentColor;
+        border-radius: 0;
+        background: none;
+        color: inherit;
+        font: inherit;
+      }
+      .contact-form textarea {
+        min-height: 96px;
+        resize: vertical;
+      }
+      .contact-form [aria-invalid="true"] {
+        border-bottom-color: #e5484d;
+      }
+      .contact-form__hint {
+        margin: 4px 0 0;
+        font-size: 12px;
+        opacity: 0.6;
+      }
+      .contact-form__error {
+        margin: 4px 0 0;
+        color: #e5484d;
+        font-size: 12px;
+      }
+      .contact-form__files {
+        margin: 8px 0 0;
+        padding: 0;
+        list-style: none;
+        font-size: 12px;
+      }
+      .contact-form__files button {
+        margin-left: 8px;
+        padding: 0;
+        border: 0;
+        background: none;
+        color: inherit;
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+      .contact-form__trap {
+        position: absolute;
+        left: -10000px;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+      }
+      .contact-form__submit {
+        padding: 0;
+        border: 0;
+        background: none;
+        color: inherit;
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+      .contact-form__submit[disabled] {
+        opacity: 0.6;
+        cursor: default;
+      }
+      .contact-form__status {
+        margin: 16px 0 0;
+        font-size: 12px;
+      }
+      .contact-form__status--failed {
+        color: #e5484d;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function normalizePhone(value) {
+    // "+971 (0)50 123 4567" is written with the trunk 0 after the country code
+    return value.replace(/[\s().-]/g, '').replace(/^(\+971|00971)0/, '$1');
+  }
+
+  function validPhone(value) {
+    const phone = normalizePhone(value);
+    if (/^(?:\+|00)971/.test(phone) || (phone.startsWith('0') && !phone.startsWith('00'))) {
+      return UAE_PHONE.test(phone);
+    }
+    return INTERNATIONAL_PHONE.test(phone);
+  }
+
+  function extensionOf(name) {
+    const match = /\.[^.]+$/.exec(name);
+    return match ? match[0].toLowerCase() : '';
+  }
+
+  function formatSize(bytes) {
+    return bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  // Error message per field name; a field without a problem is left out
+  function validate(fields, files, settings) {
+    const errors = {};
+
+    if (fields.name.length < 2) errors.name = 'Please enter your name.';
+    // Optional, but checked once filled in
+    if (fields.company) {
+      if (fields.company.length < 2 || fields.company.length > 100) {
+        errors.company = 'Please enter a company name of 2 to 100 characters.';
+      } else if (!COMPANY.test(fields.company) || !/[\p{L}\p{N}]/u.test(fields.company)) {
+        errors.company = 'Please use only letters, numbers, spaces and & . , \' ( ) / + - in the company name.';
+      }
+    }
+    if (!fields.email) {
+      errors.email = 'Please enter your email address.';
+    } else if (!EMAIL.test(fields.email)) {
+      errors.email = 'Please enter a valid email address.';
+    }
+    if (!fields.phone) {
+      errors.phone = 'Please enter a phone number.';
+    } else if (!validPhone(fields.phone)) {
+      errors.phone = 'Please enter a UAE number (050 123 4567) or an international one with its country code (+44 20 7946 0000).';
+    }
+    if (fields.message.length < 10) errors.message = 'Please tell us a little more about your project.';
+
+    const maxBytes = settings.maxAttachmentMB * 1024 * 1024;
+    if (files.length > settings.maxAttachments) {
+      errors.attachments = `Please attach at most ${settings.maxAttachments} files.`;
+    } else {
+      const tooLarge = files.find(file => file.size > maxBytes);
+      const wrongType = files.find(file => !settings.accept.includes(extensionOf(file.name)));
+      if (tooLarge) {
+        errors.attachments = `${tooLarge.name} is larger than ${settings.maxAttachmentMB} MB.`;
+      } else if (wrongType) {
+        errors.attachments = `${wrongType.name} is not a supported file type (${settings.accept.join(', ')}).`;
+      }
+    }
+
+    return errors;
+  }
+
+  function readFields(form) {
+    return FIELDS.reduce((fields, name) => {
+      fields[name] = form.elements[name] ? form.elements[name].value.trim() : '';
+      return fields;
+    }, {});
+  }
+
+  function filesOf(form) {
+    if (!attachments.has(form)) attachments.set(form, []);
+    return attachments.get(form);
+  }
+
+  function showError(form, name, message) {
+    const input = form.elements[name];
+    const error = form.querySelector(`#${FORM_ID}-${name}-error`);
+    if (input) input.setAttribute('aria-invalid', String(!!message));
+    if (error) {
+      error.textContent = message || '';
+      error.hidden = !message;
+    }
+  }
+
+  function showErrors(form, errors, names = FIELDS.concat('attachments')) {
+    names.forEach(name => showError(form, name, errors[name]));
+  }
+
+  function renderFiles(form) {
+    const list = form.querySelector('.contact-form__files');
+    if (!list) return;
+
+    list.innerHTML = filesOf(form).map((file, index) => html`
+      <li>
+        ${file.name} (${formatSize(file.size)})
+        <button type="button" class="js-contact-form-remove" data-index="${index}" aria-label="Remove ${file.name}">remove</button>
+      </li>
+    `).join('');
+  }
+
+  function setStatus(form, state, content) {
+    const status = form.querySelector('.contact-form__status');
+    form.setAttribute('data-form-state', state);
+    if (!status) return;
+
+    status.className = `contact-form__status contact-form__status--${state}`;
+    status.innerHTML = content || '';
+    status.hidden = !content;
+  }
+
+  // Address for mailto: the configured recipient, else the one on the page
+  function recipientOf(settings) {
+    if (settings.recipient) return settings.recipient;
+    const link = document.querySelector('.box--address a[href^="mailto:"]');
+    return link ? link.getAttribute('href').replace(/^mailto:/, '').split('?')[0] : '';
+  }
+
+  function mailtoUrl(submission, settings) {
+    const recipient = recipientOf(settings);
+    if (!recipient) return '';
+
+    const { fields } = submission;
+    const lines = [
+      fields.message,
+      '',
+      `${fields.name}${fields.company ? `, ${fields.company}` : ''}`,
+      fields.email,
+      fields.phone
+    ];
+    if (submission.attachments.length) {
+      lines.push('', 'Attachments (please attach them to this email):');
+      submission.attachments.forEach(file => lines.push(`- ${file.name}`));
+    }
+
+    const subject = `${settings.subject} – ${fields.company || fields.name}`;
+    return `mailto:${recipient}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+  }
+
+  function registerTransport(name, send) {
+    transports[name] = send;
+  }
+
+  registerTransport('endpoint', async (submission, settings) => {
+    if (!settings.endpoint) {
+      console.warn('⚠ Contact form: no endpoint configured, using mailto');
+      return transports.mailto(submission, settings);
+    }
+
+    const body = new FormData();
+    Object.entries(submission.fields).forEach(([name, value]) => body.append(name, value));
+    submission.attachments.forEach(file => body.append('attachments', file, file.name));
+
+    // Not retried: a timed-out POST may still have been received
+    const response = await window.ResilientFetch.fetchWithTimeout(settings.endpoint, {
+      method: 'POST',
+      body,
+      headers: { Accept: 'application/json' },
+      timeout: settings.timeout
+    });
+    if (!response.ok) {
+      throw new window.ResilientFetch.RequestError(`HTTP error! status: ${response.status}`, {
+        status: response.status
+      });
+    }
+    return {};
+  });
+
+  registerTransport('mock', (submission, settings) => new Promise((resolve, reject) => {
+    setTimeout(() => {
+      if (settings.mockFail) {
+        reject(new Error('Mock transport set to fail'));
+        return;
+      }
+      console.log('✓ Mock enquiry received:', submission.fields, submission.attachments.map(file => file.name));
+      resolve({});
+    }, settings.mockDelay);
+  }));
+
+  registerTransport('mailto', async (submission, settings) => {
+    const url = mailtoUrl(submission, settings);
+    if (!url) throw new Error('No email address to send the enquiry to');
+
+    window.location.href = url;
+    return {
+      message: submission.attachments.length
+        ? 'Your email app should now open with the enquiry. Please attach your files there before sending.'
+        : 'Your email app should now open with the enquiry, ready to send.'
+    };
+  });
+
+  async function handleSubmit(event) {
+    const form = event.target;
+    if (form.id !== FORM_ID) return;
+    event.preventDefault();
+    if (form.getAttribute('data-form-state') === 'sending') return;
+
+    const settings = await getSettings();
+    const fields = readFields(form);
+    const files = filesOf(form).slice();
+    const errors = validate(fields, files, settings);
+
+    form.setAttribute('data-validated', '');
+    showErrors(form, errors);
+    const invalid = Object.keys(errors);
+    if (invalid.length) {
+      setStatus(form, 'invalid', '');
+      const first = form.elements[invalid[0]];
+      if (first) first.focus();
+      return;
+    }
+
+    // Bots fill in every field; they get the success message and nothing is sent
+    if (form.elements.website && form.elements.website.value) {
+      console.warn('⚠ Contact form: honeypot filled in, enquiry dropped');
+      finish(form, {});
+      return;
+    }
+
+    const name = transports[settings.transport] ? settings.transport : DEFAULTS.transport;
+    if (name !== settings.transport) console.warn(`⚠ Unknown contact form transport "${settings.transport}", using ${name}`);
+
+    const submission = { fields, attachments: files };
+    const button = form.querySelector('.contact-form__submit');
+    if (button) {
+      button.disabled = true;
+      button.textContent = 'sending…';
+    }
+    setStatus(form, 'sending', '');
+    bus.emit('contact:submit', { transport: name });
+
+    try {
+      const result = await transports[name](submission, settings);
+      finish(form, result || {});
+      bus.emit('contact:sent', { transport: name });
+      console.log(`✓ Enquiry sent via ${name}`);
+    } catch (error) {
+      console.error('✗ Enquiry could not be sent:', error);
+      const fallback = name !== 'mailto' ? mailtoUrl(submission, settings) : '';
+      setStatus(form, 'failed', html`Your enquiry could not be sent. Please try again${
+        fallback ? html` or <a class="lnk lnk--through" href="${fallback}">email us</a> instead` : ''
+      }.`);
+      bus.emit('contact:failed', { transport: name, error });
+    } finally {
+      if (button) {
+        button.disabled = false;
+        button.textContent = 'send enquiry';
+      }
+    }
+  }
+
+  function finish(form, result) {
+    form.reset();
+    form.removeAttribute('data-validated');
+    attachments.set(form, []);
+    renderFiles(form);
+    setStatus(form, 'sent', html`${result.message || 'Thank you, your enquiry has been sent. We will be in touch shortly.'}`);
+  }
+
+  async function handleFiles(event) {
+    const input = event.target;
+    const form = input.form;
+    if (!form || form.id !== FORM_ID || input.name !== 'attachments') return;
+
+    const files = filesOf(form);
+    Array.from(input.files || []).forEach(file => {
+      const known = files.some(existing => existing.name === file.name && existing.size === file.size);
+      if (!known) files.push(file);
+    });
+    // The list above is the source of truth; the input only picks files
+    input.value = '';
+    renderFiles(form);
+
+    const errors = validate(readFields(form), files, await getSettings());
+    showError(form, 'attachments', errors.attachments);
+  }
+
+  async function handleRemove(event) {
+    const button = event.target.closest && event.target.closest('.js-contact-form-remove');
+    const form = button && button.closest(`#${FORM_ID}`);
+    if (!form) return;
+
+    filesOf(form).splice(Number(button.getAttribute('data-index')), 1);
+    renderFiles(form);
+
+    const errors = validate(readFields(form), filesOf(form), await getSettings());
+    showError(form, 'attachments', errors.attachments);
+  }
+
+  // Fields are checked as they are left, and again on every keystroke once they show an error
+  async function handleFieldCheck(event) {
+    const input = event.target;
+    const form = input.form;
+    if (!form || form.id !== FORM_ID || !FIELDS.includes(input.name)) return;
+    if (event.type === 'input' && input.getAttribute('aria-invalid') !== 'true') return;
+    if (event.type === 'focusout' && !input.value.trim() && !form.hasAttribute('data-validated')) return;
+
+    const errors = validate(readFields(form), filesOf(form), await getSettings());
+    showError(form, input.name, errors[input.name]);
+  }
+
+  // Shown only when enabled; the file picker offers the accepted types
+  async function applySettings() {
+    const form = document.getElementById(FORM_ID);
+    if (!form) return;
+
+    injectStyles();
+    const settings = await getSettings();
+    const box = form.closest('.box--enquiry') || form;
+    box.hidden = !settings.enabled;
+
+    const picker = form.elements.attachments;
+    if (picker) picker.setAttribute('accept', settings.accept.join(','));
+    const hint = form.querySelector(`#${FORM_ID}-attachments-hint`);
+    if (hint) hint.textContent = `Up to ${settings.maxAttachments} files, ${settings.maxAttachmentMB} MB each`;
+  }
+
+  document.addEventListener('submit', handleSubmit);
+  document.addEventListener('change', handleFiles);
+  document.addEventListener('click', handleRemove);
+  document.addEventListener('focusout', handleFieldCheck);
+  document.addEventListener('input', handleFieldCheck);
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', applySettings);
+  } else {
+    applySettings();
+  }
+  // Give the router a moment to swap the page content in
+  bus.on('route:change', detail => {
+    if (detail.slug === 'contact') setTimeout(applySettings, 200);
+  }, { replay: true });
+
+  window.ContactForm = {
+    registerTransport,
+    validate,
+    validPhone
+  };
+
+  console.log('✓ ContactForm module initialized');
+})();
@@ -2,71 +2,549 @@
  * Centralized Data Loader
  * Single source of truth for all data fetching operations
  * Handles API/JSON fallback and caching
+ * Cached payloads persist in localStorage and are revalidated in the
+ * background once their TTL expires (stale-while-revalidate); a
+ * `data:loaded` event with `changed: true` fires when the fresh payload differs.
+ * Progress is published on the EventBus as data:loading, data:loaded and
+ * data:error, each carrying the cache key (projects, about, config, ...).
+ * In preview mode (?preview=<token>, see preview-mode.js) the token is sent
+ * to the CMS and every cache is bypassed, so drafts are always fresh.
+ * Requires event-bus.js, env-config.js and resilient-fetch.js to be loaded first.
  */
 
 (function () {
   'use strict';
 
-  const API_CONFIG = {
-    USE_CMS_API: true,
-    CMS_BASE_URL: 'https://dxp-dubai-cms-cop4.vercel.app/api',
-    LOCAL_PATHS: {
-      projects: 'data/project.json',
-      about: 'data/about.json',
-      contact: 'data/contact.json',
-      header: 'data/header.json'
+  // Environment profile (dev/staging/production) from env-config.js
+  const API_CONFIG = window.EnvConfig.config;
+
+  const cmsBreaker = window.ResilientFetch.createCircuitBreaker({
+    storageKey: API_CONFIG.CIRCUIT_BREAKER.STORAGE_KEY,
+    failureThreshold: API_CONFIG.CIRCUIT_BREAKER.FAILURE_THRESHOLD,
+    cooldown: API_CONFIG.CIRCUIT_BREAKER.COOLDOWN_MS
+  });
+
+  const VIMEO_BASE = 'https://player.vimeo.com/progressive_redirect/playback';
+
+  const cache = {};
+
+  const bus = window.EventBus;
+
+  /**
+   * Canonical project model
+   * Every renderer receives projects in this shape, whatever the source:
+   * {
+   *   id, slug, title, client, director, category, data_cat,
+   *   languages, classification, vimeo_id, video_url, video_url_hd,
+   *   poster_image, poster_image_srcset, link, credits, custom_fields,
+   *   is_featured, order_index
+   * }
+   * `client` is the line shown under the title on cards; sources that only
+   * carry a director fill it with the director name.
+   * `slug` is generated from the title when the source has none, and `link`
+   * is the canonical detail URL /works/<slug>.
+   * `custom_fields` is always an object; it holds any extra per-project
+   * fields for the detail page metadata panel.
+   */
+
+  // data/project.json: snake_case, already close to the canonical model
+  function fromLocalJson(raw) {
+    return {
+      id: raw.id,
+      slug: raw.slug,
+      title: raw.title,
+      client: raw.client || raw.director,
+      director: raw.director,
+      category: raw.category,
+      data_cat: raw.data_cat,
+      languages: raw.languages,
+      classification: raw.classification,
+      vimeo_id: raw.vimeo_id,
+      video_url: raw.video_url,
+      video_url_hd: raw.video_url_hd,
+      poster_image: raw.poster_image,
+      poster_image_srcset: raw.poster_image_srcset,
+      link: raw.link,
+      credits: raw.credits,
+      custom_fields: raw.custom_fields,
+      is_featured: raw.is_featured,
+      order_index: raw.order_index
+    };
+  }
+
+  // projects-data.json: camelCase records keyed by site mode
+  function fromLegacyJson(raw) {
+    return {
+      id: raw.id,
+      slug: raw.slug,
+      title: raw.title,
+      client: raw.client || raw.director,
+      director: raw.director,
+      category: raw.category,
+      data_cat: raw.dataCat,
+      languages: raw.languages,
+      classification: raw.classification,
+      vimeo_id: raw.vimeoId,
+      video_url: raw.videoUrl,
+      video_url_hd: raw.videoUrlHd,
+      poster_image: raw.posterImage,
+      poster_image_srcset: raw.posterImageSrcset,
+      link: raw.link,
+      credits: raw.credits,
+      custom_fields: raw.customFields,
+      is_featured: raw.isFeatured,
+      order_index: raw.orderIndex
+    };
+  }
+
+  // api/projects.php: database rows with Vimeo ids and a category slug
+  function fromCmsApi(raw) {
+    return {
+      id: raw.id,
+      slug: raw.slug,
+      title: raw.title,
+      client: raw.client || raw.director,
+      director: raw.director,
+      category: formatCategory(raw.category),
+      data_cat: raw.category,
+      languages: raw.languages,
+      classification: raw.classification,
+      vimeo_id: raw.vimeo_id_1080p || raw.vimeo_id_720p,
+      video_url: raw.vimeo_id_720p ? buildVimeoUrl(raw.vimeo_id_720p, '720p') : undefined,
+      video_url_hd: raw.vimeo_id_1080p ? buildVimeoUrl(raw.vimeo_id_1080p, '1080p') : undefined,
+      poster_image: raw.poster_image_url,
+      poster_image_srcset: undefined,
+      link: undefined,
+      credits: raw.credits,
+      custom_fields: raw.custom_fields,
+      is_featured: raw.is_featured,
+      order_index: raw.order_index
+    };
+  }
+
+  function detectSource(raw) {
+    if ('vimeo_id_720p' in raw || 'vimeo_id_1080p' in raw || 'poster_image_url' in raw) {
+      return 'cms';
+    }
+    if ('videoUrl' in raw || 'dataCat' in raw || 'posterImage' in raw) {
+      return 'legacy';
     }
+    return 'local';
+  }
+
+  const ADAPTERS = {
+    local: fromLocalJson,
+    legacy: fromLegacyJson,
+    cms: fromCmsApi
   };
 
-  const cache = {};
+  function normalizeProject(raw, source) {
+    if (!raw) return null;
+
+    const adapter = ADAPTERS[source || detectSource(raw)];
+    const project = adapter(raw);
+
+    project.title = project.title || '';
+    project.client = project.client || '';
+    project.director = project.director || '';
+    project.category = project.category || '';
+    project.data_cat = project.data_cat || '';
+    project.video_url = project.video_url || '';
+    project.video_url_hd = project.video_url_hd || project.video_url;
+    project.poster_image = project.poster_image || '';
+    project.poster_image_srcset = project.poster_image_srcset || '';
+    project.credits = Array.isArray(project.credits) ? project.credits : [];
+    project.custom_fields = parseCustomFields(project.custom_fields);
+    project.is_featured = project.is_featured === true || project.is_featured == 1;
+
+    project.slug = project.slug || slugify(project.title) || (project.id != null ? `project-${project.id}` : '');
+
+    // Detail pages live at /works/<slug>; old project-detail#id= links are replaced
+    if (!project.link || /project-detail/.test(project.link)) {
+      project.link = projectPath(project.slug);
+    }
+
+    return project;
+  }
+
+  // Extra per-project fields ({ "aspect_ratio": "2.39:1" }); the CMS sends them as a JSON column
+  function parseCustomFields(value) {
+    let fields = value;
+    if (typeof fields === 'string') {
+      try {
+        fields = JSON.parse(fields);
+      } catch (error) {
+        console.warn('⚠ Ignoring custom_fields that are not valid JSON:', value);
+        return {};
+      }
+    }
+    return fields && typeof fields === 'object' && !Array.isArray(fields) ? fields : {};
+  }
+
+  // Titles that produce the same slug get -2, -3... in list order
+  function normalizeProjects(list, source) {
+    const seen = new Set();
+
+    return (list || [])
+      .map(raw => normalizeProject(raw, source))
+      .filter(Boolean)
+      .map(project => {
+        const base = project.slug;
+        let suffix = 2;
+        while (seen.has(project.slug)) {
+          project.slug = `${base}-${suffix++}`;
+        }
+        if (project.slug !== base && project.link === projectPath(base)) {
+          project.link = projectPath(project.slug);
+        }
+        seen.add(project.slug);
+        return project;
+      });
+  }
+
+  // "Café & Co. – Spring" -> "cafe-and-co-spring"
+  function slugify(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  function projectPath(slug) {
+    return `/works/${slug}`;
+  }
+
+  function buildVimeoUrl(videoId, quality) {
+    return `${VIMEO_BASE}/${videoId}/rendition/${quality}/file.mp4?loc=external&oauth2_token_id=1774001646&signature=dummy`;
+  }
+
+  function formatCategory(category) {
+    return (category || '')
+      .split('-')
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' ');
+  }
+
+  function previewToken() {
+    return window.PreviewMode ? window.PreviewMode.token : null;
+  }
+
+  // CMS URL for a path, carrying the preview token when there is one
+  function cmsUrl(path) {
+    const url = `${API_CONFIG.CMS_BASE_URL}/${path}`;
+    return window.PreviewMode ? window.PreviewMode.withToken(url) : url;
+  }
+
+  // Persistent cache entries: { storedAt, data }
+  function storageKey(cacheKey) {
+    return API_CONFIG.CACHE.STORAGE_PREFIX + cacheKey;
+  }
+
+  function readPersistent(cacheKey) {
+    try {
+      const raw = window.localStorage.getItem(storageKey(cacheKey));
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-  async function fetchData(endpoint, localPath) {
-    const cacheKey = endpoint || localPath;
+  function writePersistent(cacheKey, data) {
+    try {
+      window.localStorage.setItem(
+        storageKey(cacheKey),
+        JSON.stringify({ storedAt: Date.now(), data })
+      );
+    } catch (error) {
+      // Quota exceeded or storage disabled - memory cache still works
+      console.warn(`⚠ Could not persist cache for ${cacheKey}:`, error);
+    }
+  }
+
+  function isFresh(cacheKey, entry) {
+    const ttl = API_CONFIG.CACHE.TTL[cacheKey] ?? API_CONFIG.CACHE.DEFAULT_TTL;
+    return Date.now() - entry.storedAt < ttl;
+  }
+
+  // endpoint is the CMS path; pass null for local-only files (cacheKey then names the entry)
+  async function fetchData(endpoint, localPath, cacheKey = endpoint || localPath) {
+    // Drafts are never cached: every call asks the network again
+    if (previewToken()) {
+      const { data, source } = await fetchFromNetwork(endpoint, localPath, cacheKey);
+      bus.emit('data:loaded', { key: cacheKey, data, source, preview: true });
+      return data;
+    }
 
     if (cache[cacheKey]) {
       console.log(`✓ Using cached data for: ${cacheKey}`);
       return cache[cacheKey];
     }
 
-    try {
-      const url = API_CONFIG.USE_CMS_API
-        ? `${API_CONFIG.CMS_BASE_URL}/${endpoint}`
-        : localPath;
+    // Stale-while-revalidate: serve the stored copy now, refresh it in the background
+    const entry = readPersistent(cacheKey);
+    if (entry) {
+      cache[cacheKey] = entry.data;
+      bus.emit('data:loaded', { key: cacheKey, data: entry.data, source: 'storage' });
+      if (isFresh(cacheKey, entry)) {
+        console.log(`✓ Using persisted data for: ${cacheKey}`);
+      } else {
+        console.log(`✓ Using stale data for: ${cacheKey}, revalidating...`);
+        revalidate(endpoint, localPath, cacheKey);
+      }
+      return entry.data;
+    }
 
-      console.log(`Fetching ${endpoint || 'data'} from: ${url}`);
+    const { data, source } = await fetchFromNetwork(endpoint, localPath, cacheKey);
+    cache[cacheKey] = data;
+    writePersistent(cacheKey, data);
+    bus.emit('data:loaded', { key: cacheKey, data, source });
+    return data;
+  }
 
-      const response = await fetch(url);
+  const revalidating = {};
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  function revalidate(endpoint, localPath, cacheKey = endpoint || localPath) {
+    if (revalidating[cacheKey]) return revalidating[cacheKey];
 
-      const data = await response.json();
-      cache[cacheKey] = data;
-      return data;
-    } catch (error) {
-      console.error(`Error fetching ${endpoint || 'data'}:`, error);
+    revalidating[cacheKey] = fetchFromNetwork(endpoint, localPath, cacheKey)
+      .then(({ data, source }) => {
+        const changed = JSON.stringify(data) !== JSON.stringify(cache[cacheKey]);
+        writePersistent(cacheKey, data);
 
-      if (API_CONFIG.USE_CMS_API && localPath) {
-        console.log(`CMS API failed, falling back to local JSON...`);
-        try {
-          const response = await fetch(localPath);
-          const data = await response.json();
+        if (changed) {
           cache[cacheKey] = data;
-          return data;
-        } catch (fallbackError) {
-          console.error(`Fallback to local JSON also failed:`, fallbackError);
-          throw fallbackError;
+          console.log(`✓ Fresh data differs for: ${cacheKey}, notifying renderers`);
         }
+        bus.emit('data:loaded', { key: cacheKey, data, source, revalidated: true, changed });
+      })
+      .catch(error => {
+        console.warn(`⚠ Background revalidation failed for ${cacheKey}:`, error);
+      })
+      .finally(() => {
+        delete revalidating[cacheKey];
+      });
+
+    return revalidating[cacheKey];
+  }
+
+  function requestOptions() {
+    const options = {
+      timeout: API_CONFIG.REQUEST.TIMEOUT_MS,
+      retries: API_CONFIG.REQUEST.RETRIES,
+      retryDelay: API_CONFIG.REQUEST.RETRY_BASE_DELAY_MS
+    };
+    // Keep the browser HTTP cache out of preview requests too
+    if (previewToken()) options.cache = 'no-store';
+    return options;
+  }
+
+  // Resolves to { data, source } where source is 'cms' or 'local'
+  async function fetchFromNetwork(endpoint, localPath, cacheKey = endpoint || localPath) {
+    const useCms = API_CONFIG.USE_CMS_API && endpoint;
+
+    if (useCms && cmsBreaker.isOpen()) {
+      console.log(`⚡ CMS circuit open, using local JSON for ${endpoint}`);
+    } else if (useCms) {
+      const url = cmsUrl(endpoint);
+      console.log(`Fetching ${endpoint} from: ${url}`);
+      bus.emit('data:loading', { key: cacheKey, source: 'cms' });
+
+      try {
+        const data = await window.ResilientFetch.fetchJSON(url, requestOptions());
+        cmsBreaker.recordSuccess();
+        return { data, source: 'cms' };
+      } catch (error) {
+        console.error(`Error fetching ${endpoint}:`, error);
+        cmsBreaker.recordFailure();
+        bus.emit('data:error', { key: cacheKey, error, source: 'cms', fallback: !!localPath });
+
+        if (!localPath) throw error;
+        console.log(`CMS API failed, falling back to local JSON...`);
       }
+    }
 
+    try {
+      console.log(`Fetching ${endpoint || 'data'} from: ${localPath}`);
+      bus.emit('data:loading', { key: cacheKey, source: 'local' });
+      const data = await window.ResilientFetch.fetchJSON(localPath, requestOptions());
+      return { data, source: 'local' };
+    } catch (error) {
+      console.error(`Local JSON failed for ${endpoint || localPath}:`, error);
+      bus.emit('data:error', { key: cacheKey, error, source: 'local', fallback: false });
       throw error;
     }
   }
 
-  async function fetchProjects() {
+  // Project payloads are either a bare array (api/projects.php) or { projects: [...] }
+  function projectList(data) {
+    return Array.isArray(data) ? data : (data && data.projects) || [];
+  }
+
+  /**
+   * Fetch projects
+   * Without options resolves to the full normalized list. With { page, pageSize }
+   * resolves to { items, page, pageSize, total, hasMore } (pages are 1-based).
+   * { category } limits either form to projects with that data_cat.
+   */
+  async function fetchProjects(options = {}) {
+    if (options.page) {
+      return fetchProjectsPage(options);
+    }
+
     const data = await fetchData('projects', API_CONFIG.LOCAL_PATHS.projects);
-    return data.projects || [];
+    return normalizeProjects(projectList(data)).filter(inCategory(options.category));
+  }
+
+  // Filter on data_cat; no category (or '*') keeps every project
+  function inCategory(category) {
+    if (!category || category === '*') return () => true;
+    return project => project.data_cat === category;
+  }
+
+  function pageOf(list, page, pageSize, total = list.length) {
+    const start = (page - 1) * pageSize;
+    return {
+      items: list.slice(start, start + pageSize),
+      page,
+      pageSize,
+      total,
+      hasMore: start + pageSize < total
+    };
+  }
+
+  async function fetchProjectsPage({ page = 1, pageSize = 12, category }) {
+    const useCache = !previewToken();
+    const matches = inCategory(category);
+    const listPage = data => pageOf(normalizeProjects(projectList(data)).filter(matches), page, pageSize);
+
+    // A warm list cache is cheaper than another request
+    const warmList = useCache && (cache.projects || (readPersistent('projects') || {}).data);
+    if (warmList) {
+      return listPage(warmList);
+    }
+
+    const categoryQuery = category && category !== '*' ? `&category=${encodeURIComponent(category)}` : '';
+    const pageKey = `projects:page:${page}:${pageSize}${categoryQuery ? `:${category}` : ''}`;
+    if (useCache && cache[pageKey]) {
+      return cache[pageKey];
+    }
+
+    if (API_CONFIG.USE_CMS_API && !cmsBreaker.isOpen()) {
+      const url = cmsUrl(`projects?page=${page}&pageSize=${pageSize}${categoryQuery}`);
+      console.log(`Fetching projects page ${page} from: ${url}`);
+      bus.emit('data:loading', { key: pageKey, source: 'cms' });
+
+      try {
+        const data = await window.ResilientFetch.fetchJSON(url, requestOptions());
+        cmsBreaker.recordSuccess();
+        bus.emit('data:loaded', { key: pageKey, data, source: 'cms' });
+
+        const total = data && (data.total ?? (data.pagination && data.pagination.total));
+        if (total != null) {
+          const result = {
+            items: normalizeProjects(projectList(data)).filter(matches),
+            page,
+            pageSize,
+            total,
+            hasMore: page * pageSize < total
+          };
+          if (useCache) cache[pageKey] = result;
+          return result;
+        }
+
+        // No pagination support: the answer is the full list, keep it as such
+        if (useCache) {
+          cache.projects = data;
+          writePersistent('projects', data);
+        }
+        return listPage(data);
+      } catch (error) {
+        console.error('Error fetching projects page:', error);
+        cmsBreaker.recordFailure();
+        bus.emit('data:error', { key: pageKey, error, source: 'cms', fallback: true });
+        console.log('CMS API failed, paginating local JSON...');
+      }
+    }
+
+    // Cached as the full list, so later pages slice it instead of
+    // downloading project.json again
+    return listPage(await fetchData(null, API_CONFIG.LOCAL_PATHS.projects, 'projects'));
+  }
+
+  /**
+   * Fetch a single project by id or slug
+   * Order: warm list cache -> CMS single-item endpoint -> scan of local JSON.
+   * Resolves to null when no source knows the project.
+   */
+  async function fetchProject({ id, slug } = {}) {
+    if (id == null && !slug) {
+      throw new Error('fetchProject requires an id or a slug');
+    }
+
+    const matches = project => (id != null
+      ? String(project.id) === String(id)
+      : project.slug === slug);
+
+    const useCache = !previewToken();
+    const warmList = useCache && (cache.projects || (readPersistent('projects') || {}).data);
+    if (warmList) {
+      const cached = normalizeProjects(projectList(warmList)).find(matches);
+      if (cached) {
+        console.log(`✓ Using cached project list for: ${id != null ? id : slug}`);
+        return cached;
+      }
+    }
+
+    const cacheKey = id != null ? `project:id:${id}` : `project:slug:${slug}`;
+    if (useCache && cache[cacheKey]) {
+      return normalizeProject(cache[cacheKey]);
+    }
+
+    if (API_CONFIG.USE_CMS_API && !cmsBreaker.isOpen()) {
+      const query = id != null
+        ? `id=${encodeURIComponent(id)}`
+        : `slug=${encodeURIComponent(slug)}`;
+      const url = cmsUrl(`projects?${query}`);
+      console.log(`Fetching project from: ${url}`);
+      bus.emit('data:loading', { key: cacheKey, source: 'cms' });
+
+      try {
+        const data = await window.ResilientFetch.fetchJSON(url, requestOptions());
+        cmsBreaker.recordSuccess();
+        bus.emit('data:loaded', { key: cacheKey, data, source: 'cms' });
+
+        // Endpoints without single-item support answer with the whole list;
+        // normalize it as a list so generated slugs match
+        if (Array.isArray(data) || (data && data.projects)) {
+          return normalizeProjects(projectList(data)).find(matches) || null;
+        }
+
+        const raw = (data && data.project) || data;
+
+        if (raw) {
+          if (useCache) cache[cacheKey] = raw;
+          return normalizeProject(raw);
+        }
+        return null;
+      } catch (error) {
+        // Slugs generated from titles are unknown to the CMS; look in the list
+        if (error.status === 404) {
+          return slug ? (await fetchProjects()).find(matches) || null : null;
+        }
+
+        console.error('Error fetching project:', error);
+        cmsBreaker.recordFailure();
+        bus.emit('data:error', { key: cacheKey, error, source: 'cms', fallback: true });
+        console.log('CMS API failed, scanning local JSON...');
+      }
+    }
+
+    const { data, source } = await fetchFromNetwork(null, API_CONFIG.LOCAL_PATHS.projects, cacheKey);
+    bus.emit('data:loaded', { key: cacheKey, data, source });
+    return normalizeProjects(projectList(data)).find(matches) || null;
   }
 
   async function fetchAbout() {
@@ -81,25 +559,245 @@
     return await fetchData('header', API_CONFIG.LOCAL_PATHS.header);
   }
 
+  // config.json only exists locally, it never goes through the CMS
+  async function fetchSiteConfig() {
+    return await fetchData(null, API_CONFIG.LOCAL_PATHS.config, 'config');
+  }
+
+  // Drop memory and persisted entries whose cache key passes `matches`
+  function dropCacheEntries(matches) {
+    Object.keys(cache).filter(matches).forEach(key => delete cache[key]);
+
+    try {
+      const prefix = API_CONFIG.CACHE.STORAGE_PREFIX;
+      Object.keys(window.localStorage)
+        .filter(key => key.startsWith(prefix) && matches(key.slice(prefix.length)))
+        .forEach(key => window.localStorage.removeItem(key));
+    } catch (error) {
+      // Storage unavailable - nothing persisted
+    }
+  }
+
   function clearCache() {
-    Object.keys(cache).forEach(key => delete cache[key]);
+    dropCacheEntries(() => true);
     console.log('✓ Cache cleared');
   }
 
+  /**
+   * Live updates
+   * Re-requests the project list with If-None-Match on an interval, or on
+   * every message from an SSE stream (LIVE_UPDATES.SSE_URL). When the list
+   * changed, every project cache is invalidated and data:loaded is emitted
+   * with `changes: { updated, added, removed, reordered }` (project ids) so
+   * PageRenderer can patch only the affected cards and slider items.
+   * A failed CMS check counts towards the circuit breaker and is retried
+   * against the local JSON, like any other CMS request.
+   */
+  let live = null;
+
+  function liveProjectsSource() {
+    return API_CONFIG.USE_CMS_API && !cmsBreaker.isOpen()
+      ? { url: `${API_CONFIG.CMS_BASE_URL}/projects`, source: 'cms' }
+      : { url: API_CONFIG.LOCAL_PATHS.projects, source: 'local' };
+  }
+
+  function diffProjects(previous, next) {
+    const before = new Map(previous.map(project => [String(project.id), project]));
+    const after = new Map(next.map(project => [String(project.id), project]));
+    const updated = [];
+    const added = [];
+    const removed = [];
+
+    after.forEach((project, id) => {
+      if (!before.has(id)) {
+        added.push(id);
+      } else if (JSON.stringify(before.get(id)) !== JSON.stringify(project)) {
+        updated.push(id);
+      }
+    });
+    before.forEach((project, id) => {
+      if (!after.has(id)) removed.push(id);
+    });
+
+    // Order of the projects present in both lists
+    const order = list => list
+      .map(project => String(project.id))
+      .filter(id => before.has(id) && after.has(id))
+      .join(',');
+
+    return { updated, added, removed, reordered: order(previous) !== order(next) };
+  }
+
+  function applyProjectsUpdate(data, source) {
+    const current = cache.projects || (readPersistent('projects') || {}).data;
+
+    // Nothing rendered from projects yet - just keep the fresh copy
+    if (!current) {
+      cache.projects = data;
+      writePersistent('projects', data);
+      return;
+    }
+
+    const changes = diffProjects(
+      normalizeProjects(projectList(current)),
+      normalizeProjects(projectList(data))
+    );
+    const changed = changes.updated.length || changes.added.length ||
+      changes.removed.length || changes.reordered;
+    if (!changed) return;
+
+    dropCacheEntries(key => key === 'projects' || key.startsWith('projects:') || key.startsWith('project:'));
+    cache.projects = data;
+    writePersistent('projects', data);
+
+    console.log(`✓ Live update: ${changes.updated.length} updated, ${changes.added.length} added, ${changes.removed.length} removed`);
+    bus.emit('data:loaded', { key: 'projects', data, source, revalidated: true, changed: true, changes });
+  }
+
+  // Resolves to the list, or null when unchanged (304) or the session ended
+  async function requestLiveProjects(state, url) {
+    const headers = state.etags[url] ? { 'If-None-Match': state.etags[url] } : {};
+    const response = await window.ResilientFetch.fetchWithTimeout(url, {
+      headers,
+      cache: 'no-cache',
+      timeout: API_CONFIG.REQUEST.TIMEOUT_MS
+    });
+
+    if (response.status === 304 || live !== state) return null;
+    if (!response.ok) {
+      throw new window.ResilientFetch.RequestError(`HTTP error! status: ${response.status}`, {
+        status: response.status
+      });
+    }
+
+    const etag = response.headers.get('ETag');
+    if (etag) state.etags[url] = etag;
+
+    return await response.json();
+  }
+
+  async function checkForProjectUpdates() {
+    // stopLiveUpdates() may drop the session while the request is in flight
+    const state = live;
+    if (!state || state.checking) return;
+    state.checking = true;
+
+    const primary = liveProjectsSource();
+    let source = primary.source;
+
+    try {
+      let data;
+
+      try {
+        data = await requestLiveProjects(state, primary.url);
+        if (source === 'cms') cmsBreaker.recordSuccess();
+      } catch (error) {
+        if (source !== 'cms') throw error;
+
+        // Counted like any other CMS failure, so a dead CMS opens the breaker
+        console.warn('⚠ Live update check failed on the CMS, trying local JSON:', error.message);
+        cmsBreaker.recordFailure();
+        source = 'local';
+        data = await requestLiveProjects(state, API_CONFIG.LOCAL_PATHS.projects);
+      }
+
+      if (data && live === state) applyProjectsUpdate(data, source);
+    } catch (error) {
+      console.warn('⚠ Live update check failed:', error.message);
+    } finally {
+      state.checking = false;
+    }
+  }
+
+  function startPolling() {
+    if (live.timer) return;
+    live.timer = setInterval(() => {
+      if (!document.hidden) checkForProjectUpdates();
+    }, API_CONFIG.LIVE_UPDATES.POLL_INTERVAL_MS);
+    console.log(`✓ Live updates: polling every ${API_CONFIG.LIVE_UPDATES.POLL_INTERVAL_MS / 1000}s`);
+  }
+
+  function connectEventStream(url) {
+    const stream = new EventSource(url);
+    let opened = false;
+
+    // Messages are change notifications; the list itself is refetched
+    stream.addEventListener('projects', checkForProjectUpdates);
+    stream.addEventListener('message', checkForProjectUpdates);
+    stream.addEventListener('open', () => {
+      opened = true;
+    });
+    stream.addEventListener('error', () => {
+      // A stream that never opened (no server at SSE_URL) would otherwise
+      // keep retrying; once open, EventSource reconnects on its own unless
+      // the stream is gone for good
+      if (!opened || stream.readyState === EventSource.CLOSED) {
+        console.warn(`⚠ Live update stream ${opened ? 'closed' : 'unavailable'}, falling back to polling`);
+        stream.close();
+        startPolling();
+      }
+    });
+
+    console.log('✓ Live updates: listening to', url);
+    return stream;
+  }
+
+  function onVisibilityChange() {
+    if (!document.hidden) checkForProjectUpdates();
+  }
+
+  function startLiveUpdates() {
+    if (live) return;
+    live = { etags: {}, checking: false, timer: null, stream: null };
+
+    const settings = API_CONFIG.LIVE_UPDATES;
+    if (settings.MODE === 'sse' && settings.SSE_URL && typeof EventSource !== 'undefined') {
+      live.stream = connectEventStream(settings.SSE_URL);
+    } else {
+      startPolling();
+    }
+
+    // Catch up straight away when a background tab comes back
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+
+  function stopLiveUpdates() {
+    if (!live) return;
+    if (live.timer) clearInterval(live.timer);
+    if (live.stream) live.stream.close();
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+    live = null;
+  }
+
   window.DataLoader = {
     fetchProjects,
+    fetchProject,
+    slugify,
     fetchAbout,
     fetchContact,
     fetchHeader,
+    fetchSiteConfig,
     clearCache,
+    startLiveUpdates,
+    stopLiveUpdates,
+    checkForProjectUpdates,
+    resetCircuitBreaker: () => cmsBreaker.reset(),
+    normalizeProject,
+    normalizeProjects,
     config: API_CONFIG
   };
 
   window.fetchProjects = fetchProjects;
+  window.fetchProject = fetchProject;
   window.fetchAbout = fetchAbout;
   window.fetchContact = fetchContact;
   window.fetchHeader = fetchHeader;
   window.API_CONFIG = API_CONFIG;
 
+  // Preview sessions fetch fresh drafts on every load and skip live updates
+  if (API_CONFIG.LIVE_UPDATES.ENABLED && !previewToken() && typeof document !== 'undefined') {
+    startLiveUpdates();
+  }
+
   console.log('✓ DataLoader module initialized');
 })();
@@ -0,0 +1,215 @@
+/**
+ * Environment Configuration
+ * One API_CONFIG shared by data-loader.js, api-config.js and
+ * cms-integration.js, built from a dev, staging or production profile.
+ *
+ * The profile is picked, in order, from:
+ *   1. ?env=<name>               (kept for the session; ?env=auto clears it)
+ *   2. <meta name="dfm-env" content="<name>">
+ *   3. the hostname: staging hosts get staging, everything else production
+ *
+ * The development profile talks to a local CMS and SSE stub, so it is
+ * never picked from the hostname: opt in with ?env=dev or the meta tag.
+ */
+
+(function () {
+  'use strict';
+
+  const SESSION_KEY = 'dfm:env';
+  const PRODUCTION_CMS = 'https://dxp-dubai-cms-cop4.vercel.app/api';
+
+  // Settings shared by every profile; profiles override what differs
+  const BASE_CONFIG = {
+    USE_CMS_API: true,
+    CMS_BASE_URL: PRODUCTION_CMS,
+    // Legacy PHP endpoint read by cms-integration.js
+    CMS_PHP_ENDPOINT: '/api/projects.php',
+    // Absolute so nested pages (works/project-detail.html) resolve them too
+    LOCAL_PATHS: {
+      projects: '/data/project.json',
+      about: '/data/about.json',
+      contact: '/data/contact.json',
+      header: '/data/header.json',
+      config: '/config.json'
+    },
+    CACHE: {
+      STORAGE_PREFIX: 'dfm:cache:',
+      // How long an entry is served without revalidation (ms)
+      TTL: {
+        projects: 5 * 60 * 1000,
+        about: 60 * 60 * 1000,
+        contact: 60 * 60 * 1000,
+        header: 60 * 60 * 1000,
+        // Site config is served instantly but always revalidated
+        config: 0
+      },
+      DEFAULT_TTL: 5 * 60 * 1000
+    },
+    REQUEST: {
+      TIMEOUT_MS: 5000,
+      RETRIES: 2,
+      RETRY_BASE_DELAY_MS: 300
+    },
+    CIRCUIT_BREAKER: {
+      STORAGE_KEY: 'dfm:cms-breaker',
+      FAILURE_THRESHOLD: 3,
+      COOLDOWN_MS: 2 * 60 * 1000
+    },
+    // Pick up CMS edits in open tabs: 'poll' re-requests projects with
+    // If-None-Match, 'sse' refetches on every message from SSE_URL
+    LIVE_UPDATES: {
+      ENABLED: true,
+      MODE: 'poll',
+      POLL_INTERVAL_MS: 60 * 1000,
+      SSE_URL: null
+    }
+  };
+
+  const PROFILES = {
+    development: {
+      CMS_BASE_URL: 'http://localhost:3001/api',
+      // Always revalidate so CMS edits show up on the next load
+      CACHE: {
+        TTL: { projects: 0, about: 0, contact: 0, header: 0, config: 0 },
+        DEFAULT_TTL: 0
+      },
+      REQUEST: {
+        TIMEOUT_MS: 2000,
+        RETRIES: 0
+      },
+      CIRCUIT_BREAKER: {
+        COOLDOWN_MS: 15 * 1000
+      },
+      // Polls like the other profiles; set MODE to 'sse' while
+      // node scripts/sse-stub.js is running
+      LIVE_UPDATES: {
+        MODE: 'poll',
+        SSE_URL: 'http://localhost:3002/events',
+        POLL_INTERVAL_MS: 10 * 1000
+      }
+    },
+    staging: {
+      // Staging deployments read the production CMS until a separate one exists
+      CMS_BASE_URL: PRODUCTION_CMS,
+      CACHE: {
+        TTL: { projects: 60 * 1000 },
+        DEFAULT_TTL: 60 * 1000
+      }
+    },
+    production: {}
+  };
+
+  const ALIASES = {
+    dev: 'development',
+    local: 'development',
+    stage: 'staging',
+    prod: 'production'
+  };
+
+  function normalizeName(name) {
+    const key = String(name || '').trim().toLowerCase();
+    const resolved = ALIASES[key] || key;
+    return PROFILES[resolved] ? resolved : null;
+  }
+
+  function fromQuery() {
+    let value = null;
+
+    try {
+      value = new URLSearchParams(window.location.search).get('env');
+    } catch (error) {
+      return null;
+    }
+
+    if (value === null) return null;
+
+    try {
+      if (value === '' || value === 'auto') {
+        window.sessionStorage.removeItem(SESSION_KEY);
+        return null;
+      }
+
+      const name = normalizeName(value);
+      if (name) {
+        window.sessionStorage.setItem(SESSION_KEY, name);
+      } else {
+        console.warn(`⚠ Unknown environment "${value}" in ?env=, ignoring`);
+      }
+      return name;
+    } catch (error) {
+      // sessionStorage unavailable - the override only lasts for this page
+      return normalizeName(value);
+    }
+  }
+
+  function fromSession() {
+    try {
+      return normalizeName(window.sessionStorage.getItem(SESSION_KEY));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function fromMeta() {
+    const meta = document.querySelector('meta[name="dfm-env"]');
+    return meta ? normalizeName(meta.getAttribute('content')) : null;
+  }
+
+  function fromHostname(hostname) {
+    const host = (hostname || '').toLowerCase();
+
+    // Explicit staging hosts and Vercel preview deployments (<project>-git-<branch>-...)
+    if (host.startsWith('staging.') || /-git-.+\.vercel\.app$/.test(host)) {
+      return 'staging';
+    }
+
+    return 'production';
+  }
+
+  function detectEnvironment() {
+    return fromQuery()
+      || fromSession()
+      || fromMeta()
+      || fromHostname(window.location.hostname);
+  }
+
+  // Nested objects are merged so profiles only list the keys they change
+  function merge(base, overrides) {
+    const result = { ...base };
+
+    Object.keys(overrides || {}).forEach(key => {
+      const value = overrides[key];
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      result[key] = isObject ? merge(base[key] || {}, value) : value;
+    });
+
+    return result;
+  }
+
+  function buildConfig(name) {
+    // BASE_CONFIG is plain JSON; copy it so the tweaks below never leak into it
+    const config = merge(JSON.parse(JSON.stringify(BASE_CONFIG)), PROFILES[name]);
+
+    // Keep each environment's cache and breaker apart when switching with ?env=
+    config.ENV = name;
+    config.CACHE.STORAGE_PREFIX = `${BASE_CONFIG.CACHE.STORAGE_PREFIX}${name}:`;
+    config.CIRCUIT_BREAKER.STORAGE_KEY = `${BASE_CONFIG.CIRCUIT_BREAKER.STORAGE_KEY}:${name}`;
+
+    return config;
+  }
+
+  const name = detectEnvironment();
+  const config = buildConfig(name);
+
+  window.EnvConfig = {
+    name,
+    config,
+    profiles: Object.keys(PROFILES),
+    buildConfig,
+    detectEnvironment
+  };
+
+  window.API_CONFIG = config;
+
+  console.log(`✓ EnvConfig initialized (${name}, CMS: ${config.CMS_BASE_URL})`);
+})();
@@ -0,0 +1,132 @@
+/**
+ * Event Bus
+ * Typed publish/subscribe channel for the data and render lifecycle.
+ * Loaded in <head>, before every other module, so the critical header
+ * script and late widgets share one channel.
+ *
+ *   data:loading   { key, source }              a fetch for `key` started
+ *   data:loaded    { key, data, source, ... }   payload available; `revalidated`
+ *                                               and `changed` are set by SWR refreshes
+ *   data:error     { key, error, fallback }     a source failed; `fallback` if another is tried
+ *   render:start   { view }                     a renderer is about to touch the DOM
+ *   render:done    { view, container, items }   DOM is updated; `items` are the new nodes,
+ *                                               `updated`/`removed` the cards patched or dropped
+ *                                               (`hydrated` when prerendered markup was kept)
+ *   route:change   { path, slug, initial }      a page was entered (initial load or SPA nav)
+ *   filter:change  { filter, value }            a project grid filter changed ('category' for ?cat=,
+ *                                               'query' for ?q=)
+ *   contact:submit { transport }                the contact form passed validation and is being sent
+ *   contact:sent   { transport }                the enquiry was sent (or handed to the email app)
+ *   contact:failed { transport, error }         the transport failed; the form shows an error
+ *
+ * Widgets subscribe with `{ replay: true }` to receive the latest payload
+ * immediately instead of polling or waiting on timeouts.
+ */
+
+(function () {
+  'use strict';
+
+  // Required detail fields per event
+  const EVENTS = {
+    'data:loading': ['key'],
+    'data:loaded': ['key', 'data'],
+    'data:error': ['key', 'error'],
+    'render:start': ['view'],
+    'render:done': ['view'],
+    'route:change': ['path', 'slug'],
+    'filter:change': ['filter', 'value'],
+    'contact:submit': ['transport'],
+    'contact:sent': ['transport'],
+    'contact:failed': ['transport', 'error']
+  };
+
+  const handlers = {};
+  // Last detail per event, and per `key` for events that carry one
+  const lastDetail = {};
+  const lastByKey = {};
+
+  function assertKnown(type) {
+    if (!EVENTS[type]) {
+      throw new TypeError(`Unknown event "${type}". Known events: ${Object.keys(EVENTS).join(', ')}`);
+    }
+  }
+
+  function validate(type, detail) {
+    const missing = EVENTS[type].filter(field => detail[field] === undefined);
+    if (missing.length) {
+      console.warn(`⚠ ${type} emitted without ${missing.join(', ')}`, detail);
+    }
+  }
+
+  function call(handler, detail, type) {
+    try {
+      handler(detail, type);
+    } catch (error) {
+      // One broken subscriber must not stop the others
+      console.error(`Error in ${type} handler:`, error);
+    }
+  }
+
+  function off(type, handler) {
+    assertKnown(type);
+    if (!handlers[type]) return;
+    handlers[type] = handlers[type].filter(entry => entry !== handler && entry.original !== handler);
+  }
+
+  function on(type, handler, options = {}) {
+    assertKnown(type);
+    (handlers[type] = handlers[type] || []).push(handler);
+
+    if (options.replay) {
+      const keyed = lastByKey[type];
+      if (keyed) {
+        Object.keys(keyed).forEach(key => call(handler, keyed[key], type));
+      } else if (lastDetail[type]) {
+        call(handler, lastDetail[type], type);
+      }
+    }
+
+    return () => off(type, handler);
+  }
+
+  function once(type, handler) {
+    assertKnown(type);
+
+    const wrapper = (detail, eventType) => {
+      off(type, wrapper);
+      handler(detail, eventType);
+    };
+    wrapper.original = handler;
+
+    return on(type, wrapper);
+  }
+
+  function emit(type, detail = {}) {
+    assertKnown(type);
+    validate(type, detail);
+
+    lastDetail[type] = detail;
+    if (detail.key !== undefined) {
+      (lastByKey[type] = lastByKey[type] || {})[detail.key] = detail;
+    }
+
+    // Copy so handlers can unsubscribe while the event is dispatched
+    (handlers[type] || []).slice().forEach(handler => call(handler, detail, type));
+  }
+
+  // Latest detail for `type`, or for `type` + `key` (e.g. last('data:loaded', 'header'))
+  function last(type, key) {
+    assertKnown(type);
+    if (key === undefined) return lastDetail[type] || null;
+    return (lastByKey[type] && lastByKey[type][key]) || null;
+  }
+
+  window.EventBus = {
+    on,
+    once,
+    off,
+    emit,
+    last,
+    events: Object.keys(EVENTS)
+  };
+})();
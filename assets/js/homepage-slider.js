@@ -0,0 +1,278 @@
+/**
+ * Homepage Slider
+ * Moves the homepage through its slides: the main film, the active list
+ * item, the counter, the cursor player and the main/mobile project links
+ * always follow the current slide, whether it changed by a click, the
+ * mobile arrows or autoplay.
+ *
+ * PageRenderer picks the slides and passes the `features.homepageSlider`
+ * settings from config.json with render:done `homepage-slider`:
+ *
+ *   autoplay      advance on its own; when false only clicks and arrows do
+ *   interval      ms per slide (0: a slide lasts as long as its film)
+ *   pauseOnHover  hold the current slide while the pointer is over the box
+ *   loop          start again after the last slide (arrows wrap too)
+ *
+ * A slide also advances when its film ends before the interval is up.
+ * The static slides in index.html stay with the build.min.js slider until
+ * the first render.
+ */
+
+(function () {
+  'use strict';
+
+  const bus = window.EventBus;
+
+  const state = {
+    settings: null,
+    index: 0,
+    timer: null,
+    startedAt: 0,
+    // ms left of the current slide; kept while autoplay is held
+    remaining: 0,
+    hovered: false
+  };
+
+  function slider() {
+    return document.getElementById('homepage-slider');
+  }
+
+  function slides() {
+    const container = slider();
+    return container ? Array.from(container.querySelectorAll(':scope > li[data-project-id]')) : [];
+  }
+
+  function mainVideos() {
+    return Array.from(document.querySelectorAll('#homepage-main-video-wrapper .js-main-video'));
+  }
+
+  function cursorVideos() {
+    const container = slider();
+    return container ? Array.from(container.querySelectorAll('.player-animated-player')) : [];
+  }
+
+  function timeline() {
+    return document.querySelector('.box--home__timeline > span');
+  }
+
+  function interval() {
+    return Math.max(0, Number(state.settings && state.settings.interval) || 0);
+  }
+
+  function autoplaying() {
+    return !!(state.settings && state.settings.autoplay) && slides().length > 1;
+  }
+
+  function held() {
+    return document.hidden || (state.hovered && !!state.settings.pauseOnHover);
+  }
+
+  function stopTimer() {
+    clearTimeout(state.timer);
+    state.timer = null;
+  }
+
+  function startTimer() {
+    stopTimer();
+    if (!autoplaying() || !interval() || held()) return;
+
+    state.startedAt = Date.now();
+    state.timer = setTimeout(() => step(1, true), state.remaining);
+  }
+
+  function holdTimer() {
+    if (!state.timer) return;
+    state.remaining = Math.max(0, state.remaining - (Date.now() - state.startedAt));
+    stopTimer();
+  }
+
+  function play(video) {
+    if (!video.getAttribute('src') && video.dataset.src) video.src = video.dataset.src;
+    video.currentTime = 0;
+    video.play().catch(error => console.log('Play prevented:', error));
+  }
+
+  // Cursor player follows the slide (and the hovered item, see handleOver);
+  // it only plays while it is on screen
+  function showCursorVideo(index) {
+    const container = slider();
+    if (!container) return;
+
+    container.setAttribute('data-player-active', index);
+    const visible = !!container.querySelector('.js-cursor-player-animated.visible');
+
+    cursorVideos().forEach((video, videoIndex) => {
+      if (videoIndex === index) {
+        video.classList.add('active');
+        if (visible) play(video);
+      } else {
+        video.classList.remove('active');
+        video.pause();
+      }
+    });
+  }
+
+  function show(index) {
+    const items = slides();
+    const item = items[index];
+    if (!item) return;
+
+    state.index = index;
+    items.forEach(slide => slide.classList.toggle('is-active', slide === item));
+
+    const counter = document.querySelector('.box--home__info__counter span');
+    if (counter) counter.textContent = index + 1;
+
+    const link = item.querySelector('.js-change-video');
+    if (link) window.PageRenderer.syncHomepageLinks(link);
+
+    mainVideos().forEach((video, videoIndex) => {
+      if (videoIndex === index) {
+        video.classList.add('visible', 'loaded');
+        play(video);
+      } else {
+        video.classList.remove('visible');
+        video.pause();
+      }
+    });
+    showCursorVideo(index);
+
+    const bar = timeline();
+    if (bar) {
+      bar.classList.remove('is-animated');
+      bar.style.width = '0';
+      bar.classList.add('is-animated');
+    }
+
+    state.remaining = interval();
+    startTimer();
+  }
+
+  // Next (1) or previous (-1) slide; past either end only with `loop`.
+  // Autoplay stops at the last slide when it does not loop.
+  function step(offset, auto = false) {
+    const count = slides().length;
+    if (!count) {
+      stopTimer();
+      return;
+    }
+
+    let target = state.index + offset;
+    if (target < 0 || target >= count) {
+      if (!state.settings.loop) {
+        if (auto) stopTimer();
+        return;
+      }
+      target = (target + count) % count;
+    }
+    show(target);
+  }
+
+  function currentVideo(event) {
+    const video = event.target;
+    return video.classList && video.classList.contains('js-main-video') &&
+      mainVideos().indexOf(video) === state.index ? video : null;
+  }
+
+  // Film time or interval time, whichever is further along
+  function handleTimeUpdate(event) {
+    const video = currentVideo(event);
+    const bar = timeline();
+    if (!state.settings || !video || !bar) return;
+
+    let progress = video.duration ? video.currentTime / video.duration : 0;
+    if (autoplaying() && interval()) {
+      const elapsed = state.timer ? Date.now() - state.startedAt : 0;
+      progress = Math.max(progress, 1 - (state.remaining - elapsed) / interval());
+    }
+    bar.style.width = `${(Math.min(progress, 1) * 100).toFixed(2)}%`;
+  }
+
+  function handleEnded(event) {
+    const video = currentVideo(event);
+    if (!state.settings || !video) return;
+
+    if (autoplaying() && !held()) {
+      step(1, true);
+    } else {
+      play(video);
+    }
+  }
+
+  // Capture phase, so the build.min.js slider bound to the static markup
+  // never acts on the same click
+  function handleClick(event) {
+    if (!state.settings) return;
+
+    const link = event.target.closest && event.target.closest('#homepage-slider .js-change-video');
+    const arrow = event.target.closest && event.target.closest('.box--home__buttons-mobile .arrow-prev, .box--home__buttons-mobile .arrow-next');
+    if (!link && !arrow) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (arrow) {
+      step(arrow.classList.contains('arrow-next') ? 1 : -1);
+      return;
+    }
+
+    const index = slides().indexOf(link.parentElement);
+    if (index !== -1 && index !== state.index) show(index);
+  }
+
+  // Entering a list item previews it in the cursor player
+  function handleOver(event) {
+    const item = event.target.closest && event.target.closest('#homepage-slider > li[data-project-id]');
+    if (!state.settings || !item || item.contains(event.relatedTarget)) return;
+
+    const index = slides().indexOf(item);
+    if (index !== -1) showCursorVideo(index);
+  }
+
+  function setHovered(hovered) {
+    state.hovered = hovered;
+    if (held()) {
+      holdTimer();
+    } else if (!state.timer) {
+      startTimer();
+    }
+  }
+
+  function bindHover() {
+    const box = document.querySelector('.box--home');
+    if (!box || box.hasAttribute('data-slider-ready')) return;
+
+    box.setAttribute('data-slider-ready', '');
+    box.addEventListener('mouseenter', () => setHovered(true));
+    box.addEventListener('mouseleave', () => setHovered(false));
+  }
+
+  document.addEventListener('click', handleClick, true);
+  document.addEventListener('mouseover', handleOver);
+  // Media events do not bubble; listen in the capture phase
+  document.addEventListener('timeupdate', handleTimeUpdate, true);
+  document.addEventListener('ended', handleEnded, true);
+  document.addEventListener('visibilitychange', () => setHovered(state.hovered));
+
+  // Every full render starts again from the first slide; patched items keep their place
+  bus.on('render:done', detail => {
+    if (detail.view !== 'homepage-slider' || detail.partial) return;
+
+    stopTimer();
+    state.settings = detail.settings || { autoplay: false, loop: true };
+    state.index = Math.max(0, slides().findIndex(item => item.classList.contains('is-active')));
+    state.remaining = interval();
+    state.hovered = false;
+
+    bindHover();
+    startTimer();
+    console.log(`✓ Homepage slider ready: ${slides().length} slide(s), autoplay ${autoplaying() ? `every ${interval()}ms` : 'off'}`);
+  });
+
+  window.HomepageSlider = {
+    show,
+    next: () => step(1),
+    previous: () => step(-1),
+    current: () => state.index
+  };
+})();
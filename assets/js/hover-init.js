@@ -7,11 +7,15 @@
 (function() {
   'use strict';
 
-  function initializeHoverEffects() {
+  // `items` limits the pass to newly rendered cards; cards kept by the
+  // keyed re-render already have their listeners (and cloning would drop their video)
+  function initializeHoverEffects(items) {
     console.log('🎯 Initializing custom hover effects...');
     
     // Find all project boxes
-    const projectBoxes = document.querySelectorAll('.box--work');
+    const projectBoxes = items
+      ? items.filter(item => item.matches('.box--work'))
+      : document.querySelectorAll('.box--work');
     console.log(`Found ${projectBoxes.length} project boxes`);
     
     projectBoxes.forEach((box, index) => {
@@ -74,15 +78,18 @@
   
   // Initialize on DOMContentLoaded
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeHoverEffects);
+    document.addEventListener('DOMContentLoaded', () => initializeHoverEffects());
   } else {
     initializeHoverEffects();
   }
   
-  // Re-initialize when content is dynamically loaded
-  window.addEventListener('projects-rendered', function() {
+  const CARD_VIEWS = ['index-projects', 'works-projects', 'related-projects'];
+
+  // Re-initialize when project grids are rendered (requires event-bus.js)
+  window.EventBus.on('render:done', function(detail) {
+    if (!CARD_VIEWS.includes(detail.view)) return;
     console.log('🔄 Projects rendered, re-initializing hover effects...');
-    setTimeout(initializeHoverEffects, 100);
+    initializeHoverEffects(detail.items);
   });
   
   // Expose function globally for manual re-initialization
@@ -0,0 +1,141 @@
+/**
+ * Offline Support
+ * Registers the service worker (sw.js) and shows an offline indicator
+ * when the connection drops or hover videos fail to stream
+ */
+
+(function () {
+  'use strict';
+
+  const INDICATOR_ID = 'offline-indicator';
+  const MESSAGES = {
+    offline: 'Offline – showing saved content',
+    video: 'Offline – videos need a connection'
+  };
+
+  function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker
+      .register('/sw.js')
+      .then(registration => {
+        console.log('✓ Service worker registered, scope:', registration.scope);
+        return navigator.serviceWorker.ready;
+      })
+      .then(precacheProjectPosters)
+      .catch(error => {
+        console.warn('⚠ Service worker registration failed:', error);
+      });
+  }
+
+  // The worker precaches local posters itself; CMS posters are sent from here
+  async function precacheProjectPosters(registration) {
+    if (!registration.active || typeof window.fetchProjects !== 'function') return;
+
+    try {
+      const projects = await window.fetchProjects();
+      const urls = [];
+
+      projects.forEach(project => {
+        if (project.poster_image) urls.push(project.poster_image);
+        (project.poster_image_srcset || '').split(',').forEach(candidate => {
+          const url = candidate.trim().split(/\s+/)[0];
+          if (url) urls.push(url);
+        });
+      });
+
+      registration.active.postMessage({ type: 'precache-posters', urls });
+    } catch (error) {
+      // Nothing to precache without project data
+    }
+  }
+
+  function injectIndicatorStyles() {
+    const styleId = 'offline-indicator-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .offline-indicator {
+        position: fixed;
+        left: 50%;
+        bottom: 20px;
+        z-index: 100;
+        padding: 6px 12px;
+        background: rgba(0, 0, 0, 0.8);
+        color: #fff;
+        font-size: 12px;
+        line-height: 14px;
+        transform: translate(-50%, 20px);
+        opacity: 0;
+        pointer-events: none;
+        transition: opacity 0.3s ease, transform 0.3s ease;
+      }
+      .offline-indicator.is-visible {
+        transform: translate(-50%, 0);
+        opacity: 1;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function getIndicator() {
+    let indicator = document.getElementById(INDICATOR_ID);
+
+    if (!indicator) {
+      injectIndicatorStyles();
+      indicator = document.createElement('div');
+      indicator.id = INDICATOR_ID;
+      indicator.className = 'offline-indicator';
+      indicator.setAttribute('role', 'status');
+      indicator.setAttribute('aria-live', 'polite');
+      document.body.appendChild(indicator);
+    }
+
+    return indicator;
+  }
+
+  function showIndicator(message) {
+    const indicator = getIndicator();
+    indicator.textContent = message;
+    indicator.classList.add('is-visible');
+  }
+
+  function hideIndicator() {
+    const indicator = document.getElementById(INDICATOR_ID);
+    if (indicator) indicator.classList.remove('is-visible');
+  }
+
+  // Media errors don't bubble, so listen in the capture phase
+  function handleMediaError(event) {
+    const video = event.target;
+    if (!video || video.tagName !== 'VIDEO') return;
+
+    const networkError = video.error && video.error.code === video.error.MEDIA_ERR_NETWORK;
+    if (!navigator.onLine || networkError) {
+      showIndicator(MESSAGES.video);
+    }
+  }
+
+  function init() {
+    registerServiceWorker();
+
+    if (!navigator.onLine) showIndicator(MESSAGES.offline);
+
+    window.addEventListener('offline', () => showIndicator(MESSAGES.offline));
+    window.addEventListener('online', hideIndicator);
+    document.addEventListener('error', handleMediaError, true);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+
+  window.OfflineSupport = {
+    showIndicator,
+    hideIndicator
+  };
+})();
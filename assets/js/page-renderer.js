@@ -2,12 +2,26 @@
  * Centralized Page Renderer
  * Single source of truth for rendering page content
  * Handles all page-specific rendering logic
+ * Every renderer publishes render:start / render:done on the EventBus with
+ * its view name: index-projects, works-projects, homepage-slider, about,
+ * contact, project-detail, related-projects.
+ * CMS strings go through SafeHTML: text is escaped, URLs are validated and
+ * only founder.bio / content.main_text keep (sanitized) HTML.
+ * Pages built by scripts/prerender.js are hydrated: when the data matches
+ * what they were rendered from, the markup is kept and only render:done fires.
+ * Failed loads, empty data and unknown projects are shown with PageStates.
  */
 
 (function() {
   'use strict';
 
-  const DEBUG_HOVER = false;
+  const bus = window.EventBus;
+  const { html, sanitize, trusted, safeUrl, BLOCKED_URL } = window.SafeHTML;
+  const states = window.PageStates;
+
+  const PLAY_ICON = trusted(`<svg width="8" height="10" viewBox="0 0 8 10" fill="none" xmlns="http://www.w3.org/2000/svg">
+<path d="M7.25 4.56699C7.58333 4.75944 7.58333 5.24056 7.25 5.43301L1.25 8.89711C0.916667 9.08956 0.500001 8.849 0.500001 8.4641L0.500001 1.5359C0.500001 1.151 0.916668 0.910436 1.25 1.10289L7.25 4.56699Z" stroke="currentColor"/>
+</svg>`);
 
   const PageRenderer = {
     renderIndexProjects,
@@ -16,10 +30,72 @@
     renderAboutContent,
     renderContactContent,
     renderProjectDetail,
-    initializePage
+    renderRelatedProjects,
+    syncHomepageLinks,
+    initializePage,
+    loadIndexPage,
+    loadWorksPage,
+    loadAboutPage,
+    loadContactPage,
+    loadProjectDetailPage,
+    needsLoad,
+    prerenderKey
+  };
+
+  const PAGINATION_DEFAULTS = {
+    enabled: false,
+    pageSize: 12,
+    mode: 'infinite'
   };
 
-  function renderWorksProjects(projects) {
+  // Homepage slider, overridden by features.homepageSlider in config.json
+  const SLIDER_DEFAULTS = {
+    count: 7,
+    source: 'first',
+    ids: [],
+    autoplay: true,
+    interval: 8000,
+    pauseOnHover: true,
+    loop: true
+  };
+
+  // Detail page metadata panel, overridden by features.projectMetadata in config.json
+  const METADATA_DEFAULTS = {
+    enabled: true,
+    fields: ['category', 'classification', 'languages']
+  };
+
+  const METADATA_FORMATS = {
+    text: value => document.createTextNode(value),
+    link: value => externalLink(value, value),
+    vimeo: value => externalLink(`https://vimeo.com/${encodeURIComponent(value)}`, 'View on Vimeo')
+  };
+
+  // Element that shows the error or empty state of each view and carries
+  // its data-load-state (see page-states.js)
+  const STATE_CONTAINERS = {
+    'index-projects': () => document.getElementById('works'),
+    'works-projects': () => document.getElementById('works-list-project'),
+    'homepage-slider': () => {
+      const slider = document.getElementById('homepage-slider');
+      return slider && (slider.closest('.box--home') || slider);
+    },
+    about: () => {
+      const aboutBox = document.querySelector('.box--about');
+      return aboutBox && (aboutBox.closest('.content-wrapper') || aboutBox);
+    },
+    'contact-staff': () => document.querySelector('.list--staff'),
+    'contact-address': () => document.querySelector('.box--address'),
+    'project-detail': () => document.querySelector('.box--video')
+  };
+
+  // Pager state per grid container: { trigger, observer }
+  const pagers = new WeakMap();
+
+  // Id of the project the detail page shows, for live updates to refresh it
+  let shownProjectId = null;
+
+  function renderWorksProjects(projects, options = {}) {
     console.log('Rendering projects for works page...');
     const worksContainer = document.getElementById('works-list-project');
 
@@ -28,68 +104,13 @@
       return;
     }
 
-    worksContainer.innerHTML = '';
-
-    projects.forEach(project => {
-      const projectHTML = `
-      <li class="box box--work" data-cat="${project.data_cat}">
-        <a href="${project.link}" class="box--work__link js-has-cursor-text" onclick="event.preventDefault(); event.stopPropagation(); window.location.href='${project.link}'; return false;">
-          <div class="box--work__info">
-            <h2>${project.title}</h2>
-            <p>${project.client}</p>
-            <p>${project.category}</p>
-          </div>
-          <div class="box--work__video video-wrapper has-poster">
-            <img class="video-img-poster lazy-media loaded"
-              src="${project.poster_image}"
-              srcset="${project.poster_image_srcset}"
-              alt="">
-            <video class="js-video lazy-media loaded"
-             src="${project.video_url}"
-              playsinline loop muted></video>
-          </div>
-          <div class="cursor-text-animated js-cursor-text-animated">
-            <div class="mooving-elements is-arrow" data-friction="1">
-              <svg width="11" height="10" viewBox="0 0 11 10" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M8.72366 3.91174H7.0685L5.14349 3.8482L6.53777 4.99985L8.40882 6.65189L7.19444 7.72412L5.3234 6.07209L4.01007 4.83306L4.07303 6.50892L4.06404 8.02593L2.3819 6.54069L2.39989 2.42649L7.04152 2.42649L8.72366 3.91174Z" fill="white"/>
-              </svg>
-            </div>
-            <div class="mooving-elements shift cursor-main-text" data-friction="5">
-              <h2>${project.title}</h2>
-              <p>${project.client}</p>
-              <p>${project.category}</p>
-            </div>
-          </div>
-        </a>
-      </li>
-    `;
-
-      worksContainer.innerHTML += projectHTML;
-    });
+    bus.emit('render:start', { view: 'works-projects', append: !!options.append });
 
-    setTimeout(() => {
-      if (typeof LazyLoad !== 'undefined' && window.lazyLoadInstance) {
-        window.lazyLoadInstance.update();
-      }
-      
-      const videos = worksContainer.querySelectorAll('video.js-video');
-      videos.forEach(video => {
-        if (video.src && video.readyState < 2) {
-          video.load();
-        }
-      });
-      console.log('✓ Initialized', videos.length, 'project videos for works page');
-      
-      // Dispatch event to trigger hover re-initialization
-      setTimeout(() => {
-        const event = new Event('projects-rendered');
-        window.dispatchEvent(event);
-        console.log('✓ Dispatched projects-rendered event for works page');
-      }, 200);
-    }, 100);
+    const changes = reconcileProjectItems(worksContainer, projects, worksCardHTML, options.append);
+    afterProjectsRendered(worksContainer, changes, 'works-projects', options.append);
   }
 
-  function renderIndexProjects(projects) {
+  function renderIndexProjects(projects, options = {}) {
     console.log('Rendering projects for index page...');
     const worksContainer = document.getElementById('works');
 
@@ -98,150 +119,257 @@
       return;
     }
 
-    // Check if we have initial projects already loaded
-    const initialCount = parseInt(worksContainer.getAttribute('data-initial-count') || '0');
-    
-    if (initialCount > 0) {
-      console.log(`✓ Found ${initialCount} initial projects, updating them with fresh data and loading remaining ${projects.length - initialCount} projects...`);
-      
-      // Remove initial-count attribute so we don't do this again
-      worksContainer.removeAttribute('data-initial-count');
-      
-      // First, update the initial projects with fresh data
-      const initialProjects = worksContainer.querySelectorAll('.initial-project');
-      projects.slice(0, initialCount).forEach((project, index) => {
-        if (initialProjects[index]) {
-          // Update the existing project with fresh data
-          const link = initialProjects[index].querySelector('.box--work__link');
-          if (link) {
-            link.setAttribute('onclick', `window.location.replace('${project.link}'); return false;`);
-          }
-          
-          const video = initialProjects[index].querySelector('video.js-video');
-          if (video && project.video_url) {
-            video.src = project.video_url;
-            video.load();
-          }
-          
-          const img = initialProjects[index].querySelector('.video-img-poster');
-          if (img && project.poster_image) {
-            img.src = project.poster_image;
-            if (project.poster_image_srcset) {
-              img.srcset = project.poster_image_srcset;
-            }
-          }
-          
-          // Remove the initial-project class
-          initialProjects[index].classList.remove('initial-project');
-          
-          // Update data-cat attribute
-          initialProjects[index].setAttribute('data-cat', project.data_cat);
-        }
-      });
-      
-      // Then append the remaining projects
-      projects.slice(initialCount).forEach(project => {
-      const projectHTML = `
-      <li class="box box--work" data-cat="${project.data_cat}">
-        <a href="javascript:void(0)" class="box--work__link js-has-cursor-text" 
-        onclick="window.location.replace('${project.link}'); return false;">
-          <div class="box--work__info">
-            <h2>${project.title}</h2>
-            <p>${project.client}</p>
-            <p>${project.category}</p>
-          </div>
-          <div class="box--work__video video-wrapper has-poster">
-            <img class="video-img-poster lazy-media loaded"
-              src="${project.poster_image}"
-              srcset="${project.poster_image_srcset}"
-              alt="">
-            <video class="js-video lazy-media loaded"
-             src="${project.video_url}"
-              playsinline loop muted></video>
-          </div>
-          <div class="cursor-text-animated js-cursor-text-animated">
-            <div class="mooving-elements is-arrow" data-friction="1">
-              <svg width="11" height="10" viewBox="0 0 11 10" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M8.72366 3.91174H7.0685L5.14349 3.8482L6.53777 4.99985L8.40882 6.65189L7.19444 7.72412L5.3234 6.07209L4.01007 4.83306L4.07303 6.50892L4.06404 8.02593L2.3819 6.54069L2.39989 2.42649L7.04152 2.42649L8.72366 3.91174Z" fill="white"/>
-              </svg>
-            </div>
-            <div class="mooving-elements shift cursor-main-text" data-friction="5">
-              <h2>${project.title}</h2>
-              <p>${project.client}</p>
-              <p>${project.category}</p>
-            </div>
-          </div>
-        </a>
-      </li>
-    `;
+    bus.emit('render:start', { view: 'index-projects', append: !!options.append });
 
-        worksContainer.innerHTML += projectHTML;
-      });
-    } else {
-      // No initial projects, render all from scratch
-      console.log('No initial projects found, rendering all projects...');
-      worksContainer.innerHTML = '';
-      
-      projects.forEach(project => {
-        const projectHTML = `
-      <li class="box box--work" data-cat="${project.data_cat}">
-        <a href="javascript:void(0)" class="box--work__link js-has-cursor-text" 
-        onclick="window.location.replace('${project.link}'); return false;">
-          <div class="box--work__info">
-            <h2>${project.title}</h2>
-            <p>${project.client}</p>
-            <p>${project.category}</p>
-          </div>
-          <div class="box--work__video video-wrapper has-poster">
-            <img class="video-img-poster lazy-media loaded"
-              src="${project.poster_image}"
-              srcset="${project.poster_image_srcset}"
-              alt="">
-            <video class="js-video lazy-media loaded"
-             src="${project.video_url}"
-              playsinline loop muted></video>
-          </div>
-          <div class="cursor-text-animated js-cursor-text-animated">
-            <div class="mooving-elements is-arrow" data-friction="1">
-              <svg width="11" height="10" viewBox="0 0 11 10" fill="none" xmlns="http://www.w3.org/2000/svg">
-                <path d="M8.72366 3.91174H7.0685L5.14349 3.8482L6.53777 4.99985L8.40882 6.65189L7.19444 7.72412L5.3234 6.07209L4.01007 4.83306L4.07303 6.50892L4.06404 8.02593L2.3819 6.54069L2.39989 2.42649L7.04152 2.42649L8.72366 3.91174Z" fill="white"/>
-              </svg>
-            </div>
-            <div class="mooving-elements shift cursor-main-text" data-friction="5">
-              <h2>${project.title}</h2>
-              <p>${project.client}</p>
-              <p>${project.category}</p>
-            </div>
-          </div>
-        </a>
-      </li>
-    `;
-        worksContainer.innerHTML += projectHTML;
-      });
+    const changes = reconcileProjectItems(worksContainer, projects, indexCardHTML, options.append);
+    afterProjectsRendered(worksContainer, changes, 'index-projects', options.append);
+  }
+
+  // Works page cards navigate with a full page load
+  function worksCardHTML(project) {
+    return window.ProjectCard.html(project, { link: 'navigate' });
+  }
+
+  // Homepage cards replace the history entry
+  function indexCardHTML(project) {
+    return window.ProjectCard.html(project, { link: 'replace' });
+  }
+
+  // Markup each card was last rendered from, to skip cards that did not change
+  const cardMarkup = new WeakMap();
+
+  function createCard(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = markup.trim();
+    return template.content.firstElementChild;
+  }
+
+  // Keyed by data-project-id: only cards that changed are inserted, moved,
+  // updated or removed, so the rest keep their <video> and listeners.
+  // With `append` the existing cards stay and new ones go to the end.
+  function reconcileProjectItems(container, projects, cardHTML, append) {
+    const changes = { added: [], updated: [], removed: [], moved: 0 };
+    const existing = new Map();
+
+    Array.from(container.children).forEach(child => {
+      const id = child.getAttribute('data-project-id');
+      if (id !== null && !existing.has(id)) {
+        existing.set(id, child);
+      } else if (!append) {
+        // Static fallback markup and duplicates
+        child.remove();
+      }
+    });
+
+    const ordered = projects.map(project => {
+      const id = String(project.id);
+      const markup = cardHTML(project);
+      let card = existing.get(id);
+
+      if (card && !cardMarkup.has(card)) {
+        // Server-rendered card (scripts/prerender.js): patch it once and treat
+        // it as new so its lazy media and hover handlers get set up
+        existing.delete(id);
+        syncCard(card, markup);
+        changes.added.push(card);
+      } else if (card) {
+        existing.delete(id);
+        if (syncCard(card, markup)) changes.updated.push(card);
+      } else {
+        card = createCard(markup);
+        cardMarkup.set(card, markup);
+        changes.added.push(card);
+      }
+      return card;
+    });
+
+    if (append) {
+      changes.added.forEach(card => container.appendChild(card));
+      return changes;
     }
 
-    setTimeout(() => {
-      if (typeof LazyLoad !== 'undefined' && window.lazyLoadInstance) {
-        window.lazyLoadInstance.update();
+    existing.forEach(card => {
+      unobserveLazyMedia(card);
+      card.remove();
+      changes.removed.push(card);
+    });
+
+    // Walk the list once; insertBefore moves a card without recreating it
+    let cursor = container.firstElementChild;
+    ordered.forEach(card => {
+      if (card === cursor) {
+        cursor = cursor.nextElementSibling;
+        return;
       }
-      
-      const videos = worksContainer.querySelectorAll('video.js-video');
-      videos.forEach(video => {
-        if (video.src && video.readyState < 2) {
-          video.load();
-        }
-      });
-      console.log('✓ Initialized', videos.length, 'project videos for hover playback');
-      
-      // Dispatch event to trigger custom hover initialization
-      setTimeout(() => {
-        const event = new Event('projects-rendered');
-        window.dispatchEvent(event);
-      }, 200);
-    }, 100);
+      if (card.parentNode === container) changes.moved++;
+      container.insertBefore(card, cursor);
+    });
+
+    return changes;
+  }
+
+  // Update a card in place from new markup; returns true if anything changed
+  function syncCard(card, markup) {
+    if (cardMarkup.get(card) === markup) return false;
+    cardMarkup.set(card, markup);
+
+    const next = createCard(markup);
+    let changed = syncAttributes(card, next, ['data-cat']);
+
+    changed = syncAttributes(
+      card.querySelector('.box--work__link'),
+      next.querySelector('.box--work__link'),
+      ['href', 'data-card-link', 'data-navigo']
+    ) || changed;
+
+    ['.box--work__info', '.cursor-main-text'].forEach(selector => {
+      const target = card.querySelector(selector);
+      const source = next.querySelector(selector);
+      if (target && source && target.innerHTML !== source.innerHTML) {
+        target.innerHTML = source.innerHTML;
+        changed = true;
+      }
+    });
+
+    ['img.video-img-poster', 'video.js-video'].forEach(selector => {
+      const target = card.querySelector(selector);
+      const source = next.querySelector(selector);
+      if (!target || !source) return;
+      changed = syncSource(target, source, 'src') || changed;
+      changed = syncSource(target, source, 'srcset') || changed;
+    });
+
+    return changed;
+  }
+
+  function syncAttributes(target, source, names) {
+    if (!target || !source) return false;
+
+    let changed = false;
+    names.forEach(name => {
+      const value = source.getAttribute(name);
+      if (target.getAttribute(name) === value) return;
+      if (value === null) {
+        target.removeAttribute(name);
+      } else {
+        target.setAttribute(name, value);
+      }
+      changed = true;
+    });
+    return changed;
+  }
+
+  // Media keeps its element; only a different URL touches src/data-src.
+  // Lazy media that has not been revealed yet just gets a new data-src.
+  function syncSource(target, source, name) {
+    const dataName = `data-${name}`;
+    const wanted = source.getAttribute(dataName) || source.getAttribute(name) || '';
+    const current = target.getAttribute(dataName) || target.getAttribute(name) || '';
+    if (wanted === current) return false;
+
+    const isLazy = target.hasAttribute(dataName);
+    if (isLazy) target.setAttribute(dataName, wanted);
+    if (!isLazy || target.hasAttribute(name)) target.setAttribute(name, wanted);
+    return true;
+  }
+
+  function afterProjectsRendered(container, changes, view, append) {
+    if (typeof LazyLoad !== 'undefined' && window.lazyLoadInstance) {
+      window.lazyLoadInstance.update();
+    }
+
+    // Posters and videos only load once their card nears the viewport
+    observeLazyMedia(changes.added);
+    if (!append && STATE_CONTAINERS[view]) {
+      syncEmptyGrid(container);
+      states.setLoadState(container, 'loaded');
+    }
+    console.log(
+      `✓ Reconciled ${view}: ${changes.added.length} added, ${changes.updated.length} updated, ` +
+      `${changes.moved} moved, ${changes.removed.length} removed`
+    );
+
+    // Hover and cursor handlers bind to the new cards from render:done;
+    // updated and moved cards are the same nodes and keep theirs
+    bus.emit('render:done', {
+      view,
+      container,
+      items: changes.added,
+      updated: changes.updated,
+      removed: changes.removed,
+      append: !!append
+    });
+  }
+
+  // An empty grid says so instead of staying blank
+  function syncEmptyGrid(container) {
+    if (container.querySelector(':scope > li[data-project-id]')) {
+      states.clear(container);
+      return;
+    }
+
+    const search = searchQuery(container.id);
+    const category = window.CategoryFilter ? window.CategoryFilter.current() : null;
+    states.show(container, 'empty', {
+      title: search ? `No projects match "${search}"` : 'No projects yet',
+      message: search || category ? 'Try another search or category.' : 'New work will be listed here soon.'
+    });
+  }
+
+  // Same behaviour as the build.min.js lazyload, which only sees elements present at init
+  let lazyMediaObserver = null;
+
+  function revealLazyMedia(element) {
+    element.addEventListener('load', markLoaded, { once: true });
+    element.addEventListener('loadeddata', markLoaded, { once: true });
+
+    if (element.dataset.src) {
+      element.src = element.dataset.src;
+      delete element.dataset.src;
+    }
+    if (element.dataset.srcset) {
+      element.srcset = element.dataset.srcset;
+      delete element.dataset.srcset;
+    }
+  }
+
+  function markLoaded(event) {
+    event.currentTarget.classList.add('loaded');
   }
 
-  function renderHomepageSlider(projects) {
+  function observeLazyMedia(items) {
+    const elements = [];
+    items.forEach(item => {
+      elements.push(...item.querySelectorAll('[data-src], [data-srcset]'));
+    });
+
+    if (!('IntersectionObserver' in window)) {
+      elements.forEach(revealLazyMedia);
+      return;
+    }
+
+    if (!lazyMediaObserver) {
+      lazyMediaObserver = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            lazyMediaObserver.unobserve(entry.target);
+            revealLazyMedia(entry.target);
+          }
+        });
+      }, { rootMargin: '600px 0px 600px 0px' });
+    }
+
+    elements.forEach(element => lazyMediaObserver.observe(element));
+  }
+
+  function unobserveLazyMedia(item) {
+    if (!lazyMediaObserver) return;
+    item.querySelectorAll('[data-src], [data-srcset]').forEach(element => {
+      lazyMediaObserver.unobserve(element);
+    });
+  }
+
+  function renderHomepageSlider(projects, settings = SLIDER_DEFAULTS) {
     console.log('Rendering homepage slider...');
     const sliderContainer = document.getElementById('homepage-slider');
     
@@ -250,10 +378,16 @@
       return;
     }
 
-    // Limit to first 7 projects for slider (like posterco.tv)
-    const sliderProjects = projects.slice(0, 2);
+    bus.emit('render:start', { view: 'homepage-slider' });
+
+    const sliderProjects = selectSliderProjects(projects, settings);
     console.log(`Using ${sliderProjects.length} projects for slider (from ${projects.length} total)`);
 
+    if (!sliderProjects.length) {
+      renderEmptySlider(sliderContainer, settings);
+      return;
+    }
+
     const hasFallback = sliderContainer.getAttribute('data-has-fallback') === 'true';
     
     if (hasFallback) {
@@ -263,7 +397,7 @@
       sliderContainer.style.opacity = '0.7';
       
       setTimeout(() => {
-        renderSliderContent(sliderContainer, sliderProjects);
+        renderSliderContent(sliderContainer, sliderProjects, settings);
         updateMainVideoSection(sliderProjects);
         updateSliderCounter(sliderProjects.length);
         
@@ -273,12 +407,40 @@
         console.log('✓ Smooth transition complete - now showing fresh data');
       }, 300);
     } else {
-      renderSliderContent(sliderContainer, sliderProjects);
+      renderSliderContent(sliderContainer, sliderProjects, settings);
       updateMainVideoSection(sliderProjects);
       updateSliderCounter(sliderProjects.length);
     }
   }
   
+  function renderEmptySlider(container, settings) {
+    states.show(STATE_CONTAINERS['homepage-slider'](), 'empty', { title: 'No featured work yet' });
+    container.removeAttribute('data-has-fallback');
+    updateSliderCounter(0);
+    bus.emit('render:done', { view: 'homepage-slider', container, items: [], settings });
+  }
+
+  // Slides from the `source` in the slider settings, at most `count` of them
+  function selectSliderProjects(projects, settings) {
+    const count = Math.max(1, Number(settings.count) || SLIDER_DEFAULTS.count);
+    let selected = projects;
+
+    if (settings.source === 'featured') {
+      selected = projects.filter(project => project.is_featured);
+    } else if (settings.source === 'ids') {
+      const byId = new Map(projects.map(project => [String(project.id), project]));
+      selected = (settings.ids || []).map(id => byId.get(String(id))).filter(Boolean);
+    } else if (settings.source !== 'first') {
+      console.warn(`⚠ Unknown homepage slider source "${settings.source}", using the first projects`);
+    }
+
+    if (!selected.length && projects.length) {
+      console.warn(`⚠ No projects for homepage slider source "${settings.source}", using the first projects`);
+      selected = projects;
+    }
+    return selected.slice(0, count);
+  }
+
   function updateSliderCounter(total) {
     const sliderTotal = document.getElementById('slider-total');
     if (sliderTotal) {
@@ -289,25 +451,18 @@
   function updateMainVideoSection(projects) {
     if (!projects || projects.length === 0) return;
     
-    const firstProject = projects[0];
     const videoWrapper = document.getElementById('homepage-main-video-wrapper');
     
-    console.log({firstProject})
-    
     // Only update main videos - links and text will be handled by click handler
     if (videoWrapper) {
-      let videosHTML = '';
-      projects.forEach(project => {
-        videosHTML += `
+      videoWrapper.innerHTML = projects.map(project => html`
           <video
             class="js-main-video"
             data-src="${project.video_url}"
             muted
             playsinline
           ></video>
-        `;
-      });
-      videoWrapper.innerHTML = videosHTML;
+        `).join('');
       
       // Load videos
       setTimeout(() => {
@@ -333,22 +488,7 @@
         setTimeout(() => {
           const firstSliderItem = document.querySelector('.list--home .js-change-video');
           if (firstSliderItem) {
-            const mainLink = document.getElementById('homepage-main-link');
-            const mobileLink = document.getElementById('homepage-mobile-link');
-            const cursorText = document.getElementById('homepage-cursor-text');
-            const itemTitle = firstSliderItem.querySelector('h2').textContent;
-            
-            if (mainLink) {
-              mainLink.href = firstSliderItem.href;
-              mainLink.setAttribute('onclick', `window.location.replace('${firstSliderItem.href}'); return false;`);
-              mainLink.setAttribute('data-cursor-text', `Open ${itemTitle}`);
-            }
-            if (mobileLink) {
-              mobileLink.href = firstSliderItem.href;
-              mobileLink.setAttribute('onclick', `window.location.replace('${firstSliderItem.href}'); return false;`);
-            }
-            if (cursorText) cursorText.textContent = `open ${itemTitle}`;
-            
+            syncHomepageLinks(firstSliderItem);
             console.log('✓ Initial links and text updated from first slider item');
           }
         }, 50);
@@ -356,14 +496,30 @@
     }
   }
 
-  function renderSliderContent(container, projects) {
-    let cursorPlayerHTML = `
+  // Point the main video link, mobile link and cursor text at a slider item
+  function syncHomepageLinks(sliderLink) {
+    const mainLink = document.getElementById('homepage-main-link');
+    const mobileLink = document.getElementById('homepage-mobile-link');
+    const cursorText = document.getElementById('homepage-cursor-text');
+    const itemTitle = sliderLink.querySelector('h2').textContent;
+    
+    // Navigation is handled by ProjectCard's data-card-link listener, so the
+    // href is never pasted into an inline handler
+    [mainLink, mobileLink].forEach(link => {
+      if (!link) return;
+      link.href = sliderLink.href;
+      link.removeAttribute('onclick');
+      link.setAttribute('data-card-link', 'replace');
+    });
+    if (mainLink) mainLink.setAttribute('data-cursor-text', `Open ${itemTitle}`);
+    if (cursorText) cursorText.textContent = `open ${itemTitle}`;
+  }
+
+  function renderSliderContent(container, projects, settings) {
+    const cursorPlayerHTML = html`
       <div class="cursor-player-animated js-cursor-player-animated">
         <div class="mooving-elements players-wrapper is-player" data-friction="7">
-    `;
-    
-    projects.forEach(project => {
-      cursorPlayerHTML += `
+          ${projects.map(project => html`
           <video
             class="js-video player-animated-player"
             data-src="${project.video_url}"
@@ -371,28 +527,23 @@
             loop=""
             muted=""
           ></video>
-      `;
-    });
-    
-    cursorPlayerHTML += `
+          `)}
         </div>
       </div>
     `;
 
-    let listItemsHTML = '';
-    projects.forEach((project, index) => {
-      listItemsHTML += `
-        <li class="${index === 0 ? 'is-active' : ''}">
+    const listItemsHTML = projects.map((project, index) => html`
+        <li class="${index === 0 ? 'is-active' : ''}" data-project-id="${project.id}">
           <a href="${project.link}" class="js-change-video">
             <h2>${project.title}</h2>
             <p>${project.client}</p>
             <p>${project.category}</p>
           </a>
         </li>
-      `;
-    });
+      `);
 
-    container.innerHTML = cursorPlayerHTML + listItemsHTML;
+    container.innerHTML = html`${cursorPlayerHTML}${listItemsHTML}`;
+    states.clear(STATE_CONTAINERS['homepage-slider']());
     
     console.log('Homepage slider rendered with', projects.length, 'projects');
     
@@ -427,12 +578,12 @@
         initCursorPlayer();
       }
       
-      // Dispatch event to trigger cursor player re-initialization
-      setTimeout(() => {
-        const event = new Event('slider-rendered');
-        window.dispatchEvent(event);
-        console.log('✓ Dispatched slider-rendered event');
-      }, 200);
+      bus.emit('render:done', {
+        view: 'homepage-slider',
+        container,
+        items: Array.from(container.querySelectorAll(':scope > li')),
+        settings
+      });
     }, 100);
   }
 
@@ -440,97 +591,119 @@
     console.log('Rendering about page content...');
     const aboutBox = document.querySelector('.box--about');
     const aboutButton = document.querySelector('.player-link');
+    bus.emit('render:start', { view: 'about' });
 
-    let contentHTML = '';
-    
-    if (pageData.founder) {
-      contentHTML += `<h2>${pageData.founder.name}</h2>`;
-      contentHTML += `<h3>${pageData.founder.title}</h3><br />`;
-      contentHTML += pageData.founder.bio;
-      contentHTML += '<br /><br />';
+    if (hydrates('about', pageData)) {
+      markViewsLoaded('about');
+      bus.emit('render:done', { view: 'about', container: aboutBox, hydrated: true });
+      return;
     }
-    
-    if (pageData.content) {
-      contentHTML += pageData.content.main_text;
+
+    const aboutState = STATE_CONTAINERS.about();
+    if (!pageData.founder && !(pageData.content && pageData.content.main_text)) {
+      states.show(aboutState, 'empty', { message: 'The about page has no content yet.' });
+      bus.emit('render:done', { view: 'about', container: aboutBox });
+      return;
     }
+    states.clear(aboutState);
+    markViewsLoaded('about');
+
+    // bio and main_text are rich text from the CMS editor
+    const founder = pageData.founder;
+    const contentHTML = html`${founder ? html`<h2>${founder.name}</h2><h3>${founder.title}</h3><br />${sanitize(founder.bio)}<br /><br />` : ''}${pageData.content ? sanitize(pageData.content.main_text) : ''}`;
 
     if (aboutBox) {
       aboutBox.innerHTML = contentHTML;
     }
 
-    if (aboutButton && pageData.content && pageData.content.video_button) {
-      aboutButton.innerHTML = `<svg width="8" height="10" viewBox="0 0 8 10" fill="none" xmlns="http://www.w3.org/2000/svg">
-<path d="M7.25 4.56699C7.58333 4.75944 7.58333 5.24056 7.25 5.43301L1.25 8.89711C0.916667 9.08956 0.500001 8.849 0.500001 8.4641L0.500001 1.5359C0.500001 1.151 0.916668 0.910436 1.25 1.10289L7.25 4.56699Z" stroke="currentColor"/>
-</svg> ${pageData.content.video_button.text}`;
+    // Without a film the button keeps no skeleton around
+    const videoButton = pageData.content && pageData.content.video_button;
+    if (aboutButton && videoButton) {
+      aboutButton.innerHTML = html`${PLAY_ICON} ${videoButton.text}`;
     }
+    if (aboutButton) aboutButton.hidden = !videoButton;
+
+    bus.emit('render:done', { view: 'about', container: aboutBox });
   }
 
   function renderContactContent(pageData) {
     console.log('Rendering contact page content...');
     const staffList = document.querySelector('.list--staff');
     const addressBox = document.querySelector('.box--address');
+    bus.emit('render:start', { view: 'contact' });
 
-    if (staffList && pageData.staff) {
-      staffList.innerHTML = '';
+    if (hydrates('contact', pageData)) {
+      markViewsLoaded('contact-staff', 'contact-address');
+      bus.emit('render:done', { view: 'contact', container: staffList, hydrated: true });
+      return;
+    }
 
-      pageData.staff.forEach(department => {
-        const departmentHTML = `
+    if (staffList && !(pageData.staff && pageData.staff.length)) {
+      states.show(staffList, 'empty', { title: 'No team members listed yet' });
+    } else if (staffList) {
+      staffList.innerHTML = pageData.staff.map(department => html`
     <li>
       <h2>${department.title}</h2>
       <ul class="list list--members">
-        ${department.members
-          .map(
-            member => `
+        ${department.members.map(member => html`
           <li>
             ${member.name}<br/>
             <a class="lnk lnk--through" href="mailto:${member.email}">${member.email}</a>
           </li>
-        `
-          )
-          .join('')}
+        `)}
       </ul>
     </li>
-  `;
-        staffList.innerHTML += departmentHTML;
-      });
+  `).join('');
     }
 
-    if (addressBox && pageData.address) {
-      let addressHTML = `
-  <p>${pageData.address.street ? pageData.address.street + '<br />' : ''}
-  ${pageData.address.city}</p>
+    if (addressBox && !pageData.address) {
+      states.show(addressBox, 'empty', { title: 'Contact details coming soon' });
+    } else if (addressBox) {
+      const { address, social } = pageData;
+      const socialHTML = social ? html`<p>${
+        social.vimeo ? html`Vimeo: <a class="lnk lnk--through" href="${social.vimeo}" target="_blank" rel="noopener">dubaifilmmaker</a><br/>` : ''
+      }${
+        social.instagram ? html`Instagram: <a class="lnk lnk--through" href="${social.instagram}" target="_blank" rel="noopener">@dubaifilmmaker</a>` : ''
+      }</p>` : '';
+
+      addressBox.innerHTML = html`
+  <p>${address.street ? html`${address.street}<br />` : ''}
+  ${address.city}</p>
   <p>
-    T&nbsp;: <a class="lnk lnk--through" href="tel:${pageData.address.phone}">${pageData.address.phone}</a><br/>
-    E&nbsp;: <a class="lnk lnk--through" href="mailto:${pageData.address.email}">${pageData.address.email}</a>
+    T&nbsp;: <a class="lnk lnk--through" href="tel:${address.phone}">${address.phone}</a><br/>
+    E&nbsp;: <a class="lnk lnk--through" href="mailto:${address.email}">${address.email}</a>
   </p>
-`;
-      
-      if (pageData.social) {
-        addressHTML += '<p>';
-        if (pageData.social.vimeo) {
-          addressHTML += `Vimeo: <a class="lnk lnk--through" href="${pageData.social.vimeo}" target="_blank" rel="noopener">dubaifilmmaker</a><br/>`;
-        }
-        if (pageData.social.instagram) {
-          addressHTML += `Instagram: <a class="lnk lnk--through" href="${pageData.social.instagram}" target="_blank" rel="noopener">@dubaifilmmaker</a>`;
-        }
-        addressHTML += '</p>';
-      }
-      
-      addressBox.innerHTML = addressHTML;
+${socialHTML}`;
     }
+
+    markViewsLoaded('contact-staff', 'contact-address');
+    bus.emit('render:done', { view: 'contact', container: staffList });
   }
 
-  function renderProjectDetail(project) {
+  function renderProjectDetail(project, options = {}) {
     console.log('Rendering project detail:', project.title);
+    bus.emit('render:start', { view: 'project-detail', project });
+    shownProjectId = String(project.id);
+
+    if (hydrates('project-detail', project)) {
+      markViewsLoaded('project-detail');
+      bus.emit('render:done', {
+        view: 'project-detail',
+        container: document.getElementById('project-title'),
+        project,
+        hydrated: true
+      });
+      return;
+    }
     
+    clearProjectNotFound();
     document.getElementById('page-title').textContent = `DubaiFilmMaker – ${project.title}`;
     document.getElementById('page-description').setAttribute('content', `${project.title} - ${project.client}`);
     document.getElementById('project-title').textContent = project.title;
     document.getElementById('project-client').textContent = project.client;
+    renderProjectMetadata(project, options.metadata || METADATA_DEFAULTS);
 
-    const videoElement = document.getElementById('project-video');
-    const highQualityVideo = project.video_url;
-    videoElement.src = highQualityVideo;
+    renderProjectVideo(document.getElementById('project-video'), project);
 
     if (project.credits && project.credits.length > 0) {
       const creditsList = document.getElementById('credits-list');
@@ -548,6 +721,159 @@
       const creditsLink = document.querySelector('.lnk--credits');
       if (creditsLink) creditsLink.style.display = 'none';
     }
+
+    markViewsLoaded('project-detail');
+    bus.emit('render:done', {
+      view: 'project-detail',
+      container: document.getElementById('project-title'),
+      project
+    });
+  }
+
+  // A missing or blocked URL must not become src="#", which would load this
+  // page as the film: the player shows an empty state instead, and the
+  // title, metadata and credits stay visible
+  function renderProjectVideo(video, project) {
+    const wrapper = video.parentElement;
+    const url = safeUrl(project.video_url);
+    states.clear(wrapper);
+
+    if (url && url !== BLOCKED_URL) {
+      video.src = url;
+      return;
+    }
+
+    video.pause();
+    video.removeAttribute('src');
+    states.show(wrapper, 'empty', {
+      title: 'Film unavailable',
+      message: 'This film cannot be played right now.'
+    });
+  }
+
+  // scripts/prerender.js marks its pages with the view and a key of the data
+  // they were rendered from. Only the first render may keep that markup;
+  // later renders (live updates, SPA navigation) always write the DOM.
+  function hydrates(view, data) {
+    const root = document.documentElement;
+    if (root.getAttribute('data-prerendered') !== view) return false;
+
+    const matches = root.getAttribute('data-prerender-key') === prerenderKey(data);
+    root.removeAttribute('data-prerendered');
+    root.removeAttribute('data-prerender-key');
+
+    console.log(matches ? `✓ Hydrated prerendered ${view}` : `↻ Prerendered ${view} is out of date, re-rendering`);
+    return matches;
+  }
+
+  // FNV-1a hash of the JSON, shared with scripts/prerender.js
+  function prerenderKey(data) {
+    const text = JSON.stringify(data) || '';
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `${text.length.toString(36)}-${hash.toString(36)}`;
+  }
+
+  // One <dt>/<dd> pair per configured field that has a value. Fields are looked
+  // up on the project first, then in its custom_fields from the CMS.
+  function renderProjectMetadata(project, settings) {
+    const list = document.getElementById('project-metadata');
+    if (!list) return;
+
+    injectMetadataStyles();
+    list.innerHTML = '';
+    const fields = settings.enabled === false ? [] : settings.fields || [];
+
+    fields.map(normalizeMetadataField).filter(Boolean).forEach(field => {
+      const value = metadataValue(project, field.key);
+      if (!value) return;
+
+      const format = METADATA_FORMATS[field.format] || METADATA_FORMATS.text;
+      const dt = document.createElement('dt');
+      dt.textContent = field.label;
+      const dd = document.createElement('dd');
+      dd.appendChild(format(value));
+      list.appendChild(dt);
+      list.appendChild(dd);
+    });
+
+    list.hidden = !list.children.length;
+  }
+
+  // Fields are "languages" or { "key": "languages", "label": "Language", "format": "text" }
+  function normalizeMetadataField(field) {
+    const config = typeof field === 'string' ? { key: field } : field;
+    if (!config || !config.key) {
+      console.warn('⚠ Ignoring project metadata field without a key:', field);
+      return null;
+    }
+    if (config.format && !METADATA_FORMATS[config.format]) {
+      console.warn(`⚠ Unknown metadata format "${config.format}" for ${config.key}, showing it as text`);
+    }
+
+    const label = config.label || config.key.replace(/_/g, ' ').replace(/^./, char => char.toUpperCase());
+    return { key: config.key, label, format: config.format || 'text' };
+  }
+
+  function metadataValue(project, key) {
+    const custom = project.custom_fields || {};
+    const value = project[key] !== undefined && project[key] !== null ? project[key] : custom[key];
+    if (Array.isArray(value)) return value.filter(Boolean).join(', ');
+    return value === null || value === undefined ? '' : String(value).trim();
+  }
+
+  // Same grid as the credits list
+  function injectMetadataStyles() {
+    const styleId = 'project-metadata-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .box--video__meta {
+        display: grid;
+        grid-template-columns: max-content auto;
+        margin: 10px 0 0;
+      }
+      .box--video__meta[hidden] {
+        display: none;
+      }
+      .box--video__meta dt {
+        grid-column-start: 1;
+        margin-top: 4px;
+        font-weight: 400;
+      }
+      .box--video__meta dd {
+        grid-column-start: 2;
+        margin: 4px 0 0 20px;
+      }
+      .box--video__meta a {
+        text-decoration: underline;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function externalLink(url, text) {
+    const link = document.createElement('a');
+    link.href = safeUrl(url);
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+  }
+
+  async function getMetadataSettings() {
+    try {
+      const config = await window.DataLoader.fetchSiteConfig();
+      const settings = config.features && config.features.projectMetadata;
+      return { ...METADATA_DEFAULTS, ...settings };
+    } catch (error) {
+      return METADATA_DEFAULTS;
+    }
   }
 
   async function initializePage() {
@@ -560,7 +886,7 @@
         await loadAboutPage();
       } else if (pathname.includes('contact')) {
         await loadContactPage();
-      } else if (pathname.includes('project-detail')) {
+      } else if (pathname.startsWith('/works/')) {
         await loadProjectDetailPage();
       }
     } catch (error) {
@@ -568,149 +894,444 @@
     }
   }
 
-  async function loadIndexPage() {
+  // Re-render whatever is on screen when DataLoader revalidates a changed payload.
+  // Live updates that only edit existing projects patch the affected cards instead.
+  function handleDataUpdate(key, changes) {
+    const contentOnly = changes && !changes.added.length && !changes.removed.length && !changes.reordered;
+    // The loaders show their own error state and rethrow; a failed refresh only needs logging
+    const failed = error => console.error(`Error refreshing ${key}:`, error);
+
+    if (key === 'projects' && contentOnly) {
+      patchUpdatedProjects(changes.updated).catch(failed);
+    } else if (key === 'projects') {
+      if (document.getElementById('works') || document.getElementById('homepage-slider')) {
+        loadIndexPage().catch(failed);
+      }
+      if (document.getElementById('works-list-project')) {
+        loadWorksPage().catch(failed);
+      }
+      if (document.getElementById('project-title')) {
+        loadProjectDetailPage().catch(failed);
+      }
+    } else if (key === 'about' && document.querySelector('.box--about')) {
+      loadAboutPage().catch(failed);
+    } else if (key === 'contact' && document.querySelector('.list--staff, .box--address')) {
+      loadContactPage().catch(failed);
+    }
+  }
+
+  async function patchUpdatedProjects(ids) {
     const projects = await window.fetchProjects();
-    renderIndexProjects(projects);
-    renderHomepageSlider(projects);
+    const byId = new Map(projects.map(project => [String(project.id), project]));
+
+    patchProjectCards('works', 'index-projects', indexCardHTML, byId, ids);
+    patchProjectCards('works-list-project', 'works-projects', worksCardHTML, byId, ids);
+    await refreshHomepageSlider(projects, byId, ids);
+
+    if (document.getElementById('project-title') && ids.includes(shownProjectId)) {
+      await loadProjectDetailPage();
+    }
+  }
+
+  function patchProjectCards(containerId, view, cardHTML, byId, ids) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const updated = [];
+    ids.forEach(id => {
+      const card = container.querySelector(`li[data-project-id="${CSS.escape(id)}"]`);
+      if (card && byId.has(id) && syncCard(card, cardHTML(byId.get(id)))) {
+        updated.push(card);
+      }
+    });
+
+    if (!updated.length) return;
+
+    bus.emit('render:start', { view, partial: true });
+    bus.emit('render:done', { view, container, items: [], updated, partial: true });
+    console.log(`✓ Patched ${updated.length} card(s) in #${containerId}`);
+  }
+
+  // A featured flag or id list change can change the slides themselves;
+  // otherwise the items on screen are patched
+  async function refreshHomepageSlider(projects, byId, ids) {
+    const slider = document.getElementById('homepage-slider');
+    if (!slider) return;
+
+    const settings = await getSliderSettings();
+    const shown = Array.from(slider.querySelectorAll(':scope > li[data-project-id]'), item => item.getAttribute('data-project-id'));
+    const selected = selectSliderProjects(projects, settings).map(project => String(project.id));
+
+    if (selected.join() !== shown.join()) {
+      renderHomepageSlider(projects, settings);
+    } else {
+      patchSliderItems(byId, ids);
+    }
+  }
+
+  // Slider items keep their listeners; only text, links and video sources change
+  function patchSliderItems(byId, ids) {
+    const slider = document.getElementById('homepage-slider');
+    if (!slider) return;
+
+    const cursorVideos = slider.querySelectorAll('.player-animated-player');
+    const mainVideos = document.querySelectorAll('#homepage-main-video-wrapper .js-main-video');
+    const patched = [];
+
+    slider.querySelectorAll(':scope > li').forEach((item, index) => {
+      const id = item.getAttribute('data-project-id');
+      if (!ids.includes(id) || !byId.has(id)) return;
+
+      const project = byId.get(id);
+      const link = item.querySelector('.js-change-video');
+      const lines = link.querySelectorAll('p');
+      link.href = project.link;
+      link.querySelector('h2').textContent = project.title;
+      if (lines[0]) lines[0].textContent = project.client;
+      if (lines[1]) lines[1].textContent = project.category;
+
+      [cursorVideos[index], mainVideos[index]].forEach(video => {
+        if (!video || video.dataset.src === project.video_url) return;
+        video.dataset.src = project.video_url;
+        if (video.getAttribute('src')) video.src = project.video_url;
+      });
+
+      if (item.classList.contains('is-active')) syncHomepageLinks(link);
+      patched.push(item);
+    });
+
+    if (patched.length) {
+      bus.emit('render:done', { view: 'homepage-slider', container: slider, items: patched, partial: true });
+      console.log(`✓ Patched ${patched.length} slider item(s)`);
+    }
+  }
+
+  async function loadIndexPage() {
+    await withErrorState(['index-projects', 'homepage-slider'], loadIndexPage, async () => {
+      const projects = await window.fetchProjects();
+      await renderPaginatedProjects(renderIndexProjects, 'works');
+      renderHomepageSlider(projects, await getSliderSettings());
+    });
+  }
+
+  async function loadIndexGrid() {
+    await withErrorState(['index-projects'], loadIndexGrid, () => renderPaginatedProjects(renderIndexProjects, 'works'));
+  }
+
+  async function loadWorksPage() {
+    await withErrorState(['works-projects'], loadWorksPage, () => renderPaginatedProjects(renderWorksProjects, 'works-list-project'));
+  }
+
+  // Run a loader; if it fails, the views' containers show an error with a
+  // retry. Static fallback markup (the homepage slider) is kept instead.
+  // Containers that are not loaded yet are `loading` meanwhile; loaded ones
+  // keep their state (and content) while they refresh.
+  async function withErrorState(views, retry, load) {
+    const containers = views.map(view => STATE_CONTAINERS[view]()).filter(Boolean);
+    containers
+      .filter(container => states.needsLoad(container))
+      .forEach(container => states.setLoadState(container, 'loading'));
+
+    try {
+      await load();
+    } catch (error) {
+      containers.forEach(container => {
+        if (container.matches('[data-has-fallback="true"]') || container.querySelector('[data-has-fallback="true"]')) return;
+        states.show(container, 'error', { retry });
+      });
+      throw error;
+    }
+  }
+
+  function markViewsLoaded(...views) {
+    views.forEach(view => states.setLoadState(STATE_CONTAINERS[view](), 'loaded'));
+  }
+
+  // Whether a view still shows its skeleton (or an error) rather than data
+  function needsLoad(view) {
+    const container = STATE_CONTAINERS[view] && STATE_CONTAINERS[view]();
+    return !!container && states.needsLoad(container);
+  }
+
+  // Filters applied to the project grids (the homepage slider always shows all)
+  function gridQuery() {
+    const category = window.CategoryFilter ? window.CategoryFilter.current() : null;
+    return category ? { category } : {};
+  }
+
+  // ?q= only applies to the works grid, where the search box is
+  function searchQuery(containerId) {
+    if (containerId !== 'works-list-project' || !window.ProjectSearch) return null;
+    return window.ProjectSearch.current();
+  }
+
+  async function getSliderSettings() {
+    try {
+      const config = await window.DataLoader.fetchSiteConfig();
+      const settings = config.features && config.features.homepageSlider;
+      return { ...SLIDER_DEFAULTS, ...settings };
+    } catch (error) {
+      return SLIDER_DEFAULTS;
+    }
+  }
+
+  async function getPaginationSettings() {
+    try {
+      const config = await window.DataLoader.fetchSiteConfig();
+      const settings = config.features && config.features.projectsPagination;
+      return { ...PAGINATION_DEFAULTS, ...settings };
+    } catch (error) {
+      return PAGINATION_DEFAULTS;
+    }
+  }
+
+  // Render the first page, then let the pager append the rest on demand
+  async function renderPaginatedProjects(render, containerId) {
+    const settings = await getPaginationSettings();
+    const query = gridQuery();
+    const search = searchQuery(containerId);
+
+    // Search results come ranked in one list, so they are not paginated
+    if (search) {
+      detachPager(document.getElementById(containerId));
+      render(await window.ProjectSearch.searchProjects(search, query));
+      return;
+    }
+
+    if (!settings.enabled) {
+      render(await window.fetchProjects(query));
+      return;
+    }
+
+    const firstPage = await window.fetchProjects({ ...query, page: 1, pageSize: settings.pageSize });
+    render(firstPage.items);
+
+    const container = document.getElementById(containerId);
+    if (container) {
+      attachPager(container, firstPage, settings, query, items => render(items, { append: true }));
+    }
+  }
+
+  // 'infinite' watches a sentinel below the grid, 'button' shows a load more link
+  function attachPager(container, firstPage, settings, query, renderPage) {
+    detachPager(container);
+    if (!firstPage.hasMore) return;
+
+    let currentPage = firstPage.page;
+    let loading = false;
+    // Without IntersectionObserver infinite mode degrades to the button
+    const isButton = settings.mode === 'button' || !('IntersectionObserver' in window);
+
+    const trigger = document.createElement(isButton ? 'button' : 'div');
+    trigger.className = isButton
+      ? 'lnk lnk--through projects-load-more'
+      : 'projects-load-sentinel';
+    if (isButton) {
+      trigger.type = 'button';
+      trigger.textContent = 'load more';
+    }
+    container.insertAdjacentElement('afterend', trigger);
+
+    async function loadNextPage() {
+      if (loading) return;
+      loading = true;
+
+      try {
+        const next = await window.fetchProjects({
+          ...query,
+          page: currentPage + 1,
+          pageSize: firstPage.pageSize
+        });
+        renderPage(next.items);
+        currentPage = next.page;
+        console.log(`✓ Loaded page ${next.page} (${next.items.length} projects)`);
+
+        if (!next.hasMore) detachPager(container);
+      } catch (error) {
+        console.error('Error loading next page of projects:', error);
+      } finally {
+        loading = false;
+      }
+    }
+
+    let observer = null;
+    if (isButton) {
+      trigger.addEventListener('click', loadNextPage);
+    } else {
+      observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) loadNextPage();
+      }, { rootMargin: '600px 0px' });
+      observer.observe(trigger);
+    }
+
+    pagers.set(container, { trigger, observer });
+  }
+
+  function detachPager(container) {
+    const pager = container && pagers.get(container);
+    if (!pager) return;
+
+    if (pager.observer) pager.observer.disconnect();
+    pager.trigger.remove();
+    pagers.delete(container);
   }
 
   async function loadAboutPage() {
-    const data = await window.fetchAbout();
-    renderAboutContent(data.page);
+    await withErrorState(['about'], loadAboutPage, async () => {
+      const data = await window.fetchAbout();
+      renderAboutContent(data.page || {});
+    });
   }
 
   async function loadContactPage() {
-    const data = await window.fetchContact();
-    renderContactContent(data.page);
+    await withErrorState(['contact-staff', 'contact-address'], loadContactPage, async () => {
+      const data = await window.fetchContact();
+      renderContactContent(data.page || {});
+    });
+  }
+
+  // Detail pages are served at /works/<slug> (vercel.json rewrites them to
+  // works/project-detail.html); old project-detail#id=<id> links still resolve
+  function projectRoute() {
+    const id = new URLSearchParams(window.location.hash.substring(1)).get('id');
+    if (id) return { id };
+
+    const match = window.location.pathname.match(/^\/works\/([^/]+?)(?:\.html)?\/?$/);
+    if (match && match[1] !== 'project-detail') {
+      return { slug: decodeURIComponent(match[1]) };
+    }
+    return null;
   }
 
   async function loadProjectDetailPage() {
-    const urlParams = new URLSearchParams(window.location.hash.substring(1));
-    const projectId = urlParams.get('id');
-    
-    if (!projectId) {
-      console.error('No project ID provided');
+    const route = projectRoute();
+    const title = document.getElementById('project-title');
+
+    if (!route) {
+      console.error('No project slug or ID in the URL');
+      renderProjectNotFound(title);
       return;
     }
 
-    const projects = await window.fetchProjects();
-    const project = projects.find(p => p.id == projectId);
-    
+    let project;
+    await withErrorState(['project-detail'], loadProjectDetailPage, async () => {
+      project = await window.fetchProject(route);
+    });
+
     if (!project) {
-      console.error('Project not found with ID:', projectId);
+      console.error('Project not found:', route.slug || route.id);
+      renderProjectNotFound(title);
+      return;
+    }
+
+    // Send #id= links to the canonical slug URL, keeping ?preview= and friends
+    if (route.id) {
+      const canonical = `/works/${encodeURIComponent(project.slug)}${window.location.search}`;
+      console.log(`↪ Redirecting #id=${route.id} to ${canonical}`);
+      window.location.replace(canonical);
       return;
     }
 
-    renderProjectDetail(project);
+    renderProjectDetail(project, { metadata: await getMetadataSettings() });
+    await loadProjectNavigation(project);
   }
 
-  // Re-initialize cursor and video hover interactions after dynamic rendering
-  function reinitializeInteractions(container) {
-    if (DEBUG_HOVER) console.log('Re-initializing cursor and video hover interactions...');
-    
-    // Re-initialize video hover play/pause
-    const videoElements = container.querySelectorAll('.box--work');
-    if (DEBUG_HOVER) console.log('Found', videoElements.length, 'project boxes to reinitialize');
-    
-    videoElements.forEach((box, index) => {
-      if (DEBUG_HOVER) console.log(`[hover:init] Processing box ${index + 1}/${videoElements.length}`);
-      const video = box.querySelector('video.js-video');
-      const link = box.querySelector('.box--work__link');
-      
-      if (video && link) {
-        if (DEBUG_HOVER) {
-          console.log('[hover:init] found box', {
-            hasVideo: !!video,
-            hasLink: !!link,
-            dataSrc: video.dataset ? video.dataset.src : undefined,
-            src: video.currentSrc || video.src
-          });
-        }
+  // Unknown slug or id; the page is a soft 404, so it is kept out of search results
+  function renderProjectNotFound(title) {
+    shownProjectId = null;
+    if (title) title.textContent = 'Project not found';
+    document.title = 'DubaiFilmMaker – Project not found';
 
-        // Ensure video has src attribute (not just data-src)
-        if (!video.src && video.dataset.src) {
-          video.src = video.dataset.src;
-        }
+    const video = document.getElementById('project-video');
+    if (video) video.pause();
 
-        // If the source isn't a direct mp4, the <video> element usually can't play it.
-        // (e.g. https://player.vimeo.com/video/... is not a playable mp4 URL)
-        const currentSrc = video.currentSrc || video.src || '';
-        const isDirectMp4 = /\.mp4(\?|$)/i.test(currentSrc);
-        if (DEBUG_HOVER && !isDirectMp4) {
-          console.log('[hover:init] non-mp4 video src detected (hover play may fail)', currentSrc);
-        }
-        
-        // Ensure video is loaded
-        if (video.readyState < 2) {
-          video.load();
-        }
-        
-        // Add hover event listeners
-        link.addEventListener('mouseenter', function() {
-          if (DEBUG_HOVER) {
-            console.log('[hover:enter]', {
-              title: box.querySelector('.box--work__info h2')?.textContent,
-              src: video.currentSrc || video.src,
-              readyState: video.readyState,
-              paused: video.paused
-            });
-          }
+    let robots = document.head.querySelector('meta[name="robots"]');
+    if (!robots) {
+      robots = document.createElement('meta');
+      robots.setAttribute('name', 'robots');
+      robots.setAttribute('data-not-found', '');
+      document.head.appendChild(robots);
+    }
+    robots.setAttribute('content', 'noindex');
 
-          const srcNow = video.currentSrc || video.src || '';
-          const directMp4Now = /\.mp4(\?|$)/i.test(srcNow);
-          if (!directMp4Now) {
-            if (DEBUG_HOVER) console.log('[hover:enter] skipped play (not a direct mp4)', srcNow);
-            return;
-          }
+    states.show(STATE_CONTAINERS['project-detail'](), 'not-found', {
+      title: 'Project not found',
+      message: 'This project may have been moved or removed.',
+      link: { href: '/works', label: 'see all work' }
+    });
+  }
 
-          // Only play if video is ready
-          if (video.readyState >= 2 && video.paused) {
-            video.play().catch(err => {
-              // Silently handle play errors (video might still be loading)
-              if (err.name !== 'AbortError') {
-                if (DEBUG_HOVER) console.log('[hover:play:error]', err.name);
-              }
-            });
-          } else if (video.readyState < 2) {
-            // Video not ready, load it and play when ready
-            video.addEventListener('loadeddata', function onLoaded() {
-              if (link.matches(':hover')) {
-                video.play().catch(() => {});
-              }
-              video.removeEventListener('loadeddata', onLoaded);
-            }, { once: true });
-            video.load();
-          }
-        });
-        
-        link.addEventListener('mouseleave', function() {
-          if (DEBUG_HOVER) {
-            console.log('[hover:leave]', {
-              src: video.currentSrc || video.src,
-              readyState: video.readyState,
-              paused: video.paused
-            });
-          }
-          if (!video.paused) {
-            video.pause();
-            video.currentTime = 0;
-          }
-        });
+  function clearProjectNotFound() {
+    states.clear(STATE_CONTAINERS['project-detail']());
+    const robots = document.head.querySelector('meta[name="robots"][data-not-found]');
+    if (robots) robots.remove();
+  }
+
+  // Previous/next and related work; the film still plays if the list fails to load
+  async function loadProjectNavigation(project) {
+    if (!window.ProjectNavigation || !document.getElementById('project-pager')) return;
+
+    try {
+      const projects = await window.fetchProjects();
+      renderProjectPager(window.ProjectNavigation.neighbours(projects, project));
+      renderRelatedProjects(window.ProjectNavigation.related(projects, project));
+    } catch (error) {
+      console.warn('⚠ Could not load previous/next and related projects:', error);
+    }
+  }
+
+  function renderProjectPager({ previous, next }) {
+    const pager = document.getElementById('project-pager');
+    if (!pager) return;
+
+    [['project-previous', previous], ['project-next', next]].forEach(([id, project]) => {
+      const link = document.getElementById(id);
+      if (!link) return;
+
+      link.hidden = !project;
+      if (project) {
+        link.setAttribute('href', safeUrl(project.link));
+        link.setAttribute('title', project.title);
       }
     });
-    
-    // Trigger global cursor initialization if available
-    if (typeof window.initCursorAnimations === 'function') {
-      window.initCursorAnimations();
+    pager.hidden = !previous && !next;
+  }
+
+  // Related work uses the standard card; hover-init.js binds the hover video
+  function renderRelatedProjects(projects) {
+    const container = document.getElementById('related-projects');
+    if (!container) return;
+
+    bus.emit('render:start', { view: 'related-projects' });
+
+    const changes = reconcileProjectItems(container, projects, relatedCardHTML);
+    const panel = document.getElementById('related');
+    if (panel) panel.hidden = !projects.length;
+
+    afterProjectsRendered(container, changes, 'related-projects');
+  }
+
+  function relatedCardHTML(project) {
+    return window.ProjectCard.html(project, { link: 'navigate' });
+  }
+
+  // CategoryFilter changed ?cat= or ProjectSearch changed ?q=; cards still
+  // in the result are kept
+  bus.on('filter:change', function(detail) {
+    const failed = error => console.error('Error loading projects:', error);
+    if (detail.filter !== 'query' && document.getElementById('works')) {
+      loadIndexGrid().catch(failed);
     }
-    
-    // Trigger global video initialization if available
-    if (typeof window.initVideoHover === 'function') {
-      window.initVideoHover();
+    if (document.getElementById('works-list-project')) {
+      loadWorksPage().catch(failed);
     }
-    
-    console.log('✓ Interactions re-initialized for', videoElements.length, 'project items');
-  }
+  });
+
+  bus.on('data:loaded', function(detail) {
+    if (!detail.revalidated || !detail.changed) return;
+    console.log('🔄 Data updated for', detail.key, '- re-rendering');
+    handleDataUpdate(detail.key, detail.changes);
+  });
 
   window.PageRenderer = PageRenderer;
   console.log('✓ PageRenderer module initialized');
@@ -0,0 +1,238 @@
+/**
+ * Page States
+ * Loading skeletons and error, empty and not-found messages for the page
+ * containers: the project grids, the homepage slider, the about box, the
+ * contact staff list and address, and the project detail page.
+ *
+ *   PageStates.show(container, 'error', { retry })           "try again" calls retry()
+ *   PageStates.show(container, 'empty', { title, message })
+ *   PageStates.show(container, 'not-found', { link: { href, label } })
+ *   PageStates.clear(container)
+ *
+ * A state is added next to the container's own markup, which is hidden
+ * while `data-page-state` is set on the container, so the real content
+ * returns as soon as PageRenderer renders again and clears the state.
+ *
+ * Containers also carry `data-load-state`: `pending` in the HTML, where
+ * they hold `.skeleton` placeholders sized like the real content, then
+ * `loading`, `loaded` or `error`. Loaders check it with needsLoad().
+ */
+
+(function () {
+  'use strict';
+
+  const { html } = window.SafeHTML;
+
+  const STATES = {
+    error: {
+      title: 'Something went wrong',
+      message: 'This content could not be loaded. Check your connection and try again.',
+      role: 'alert'
+    },
+    empty: {
+      title: 'Nothing here yet',
+      message: '',
+      role: 'status'
+    },
+    'not-found': {
+      title: 'Not found',
+      message: 'This page may have been moved or removed.',
+      role: 'status'
+    }
+  };
+
+  const LOAD_STATES = ['pending', 'loading', 'loaded', 'error'];
+
+  // Retry callback per state element
+  const retries = new WeakMap();
+
+  function injectStyles() {
+    const styleId = 'page-states-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      [data-page-state] > :not(.page-state) {
+        display: none !important;
+      }
+      .page-state {
+        max-width: 420px;
+        padding: 40px 0;
+        list-style: none;
+      }
+      .page-state__title {
+        margin: 0 0 8px;
+        font-size: 14px;
+        font-weight: 700;
+        line-height: 18px;
+      }
+      .page-state__message {
+        margin: 0 0 12px;
+        font-size: 12px;
+        line-height: 16px;
+        opacity: 0.6;
+      }
+      .page-state__action {
+        margin-right: 16px;
+        padding: 0;
+        border: 0;
+        background: none;
+        color: inherit;
+        font: inherit;
+        font-size: 12px;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+      .page-state__action[disabled] {
+        opacity: 0.6;
+        cursor: default;
+      }
+      .skeleton {
+        position: relative;
+        overflow: hidden;
+        pointer-events: none;
+      }
+      .skeleton--text {
+        display: block;
+        width: 100%;
+        max-width: 320px;
+        height: 0.8em;
+        margin: 0.35em 0;
+        border-radius: 2px;
+        background-color: currentColor;
+        opacity: 0.12;
+        animation: skeleton-pulse 1.2s ease-in-out infinite alternate;
+      }
+      .skeleton--text:nth-child(3n + 2) {
+        width: 85%;
+      }
+      .skeleton--text:nth-child(3n) {
+        width: 60%;
+      }
+      .skeleton--short {
+        width: 90px !important;
+      }
+      .box--work.skeleton::after {
+        content: '';
+        position: absolute;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        left: 0;
+        background: linear-gradient(90deg, transparent, rgba(255, 255, 255, 0.08), transparent);
+        transform: translateX(-100%);
+        animation: skeleton-shimmer 1.4s ease-in-out infinite;
+      }
+      @keyframes skeleton-pulse {
+        to {
+          opacity: 0.24;
+        }
+      }
+      @keyframes skeleton-shimmer {
+        to {
+          transform: translateX(100%);
+        }
+      }
+      @media (prefers-reduced-motion: reduce) {
+        .skeleton--text,
+        .box--work.skeleton::after {
+          animation: none;
+        }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function stateHTML(kind, options) {
+    const defaults = STATES[kind];
+    const title = options.title || defaults.title;
+    const message = options.message !== undefined ? options.message : defaults.message;
+
+    return html`<h2 class="page-state__title">${title}</h2>${
+      message ? html`<p class="page-state__message">${message}</p>` : ''
+    }${
+      options.retry ? html`<button type="button" class="page-state__action js-page-state-retry">try again</button>` : ''
+    }${
+      options.link ? html`<a class="page-state__action" href="${options.link.href}">${options.link.label}</a>` : ''
+    }`;
+  }
+
+  function setLoadState(container, state) {
+    if (!container) return;
+    if (!LOAD_STATES.includes(state)) {
+      console.warn(`⚠ Unknown load state "${state}"`);
+      return;
+    }
+
+    container.setAttribute('data-load-state', state);
+    container.setAttribute('aria-busy', String(state === 'pending' || state === 'loading'));
+  }
+
+  // Nothing loaded yet, or the last attempt failed
+  function needsLoad(container) {
+    const state = container && container.getAttribute('data-load-state');
+    return state === 'pending' || state === 'error';
+  }
+
+  function clear(container) {
+    if (!container) return;
+    container.querySelectorAll(':scope > .page-state').forEach(element => element.remove());
+    container.removeAttribute('data-page-state');
+  }
+
+  function show(container, kind, options = {}) {
+    if (!container) return null;
+    if (!STATES[kind]) {
+      console.warn(`⚠ Unknown page state "${kind}", showing an error`);
+      kind = 'error';
+    }
+
+    clear(container);
+    // The state replaces the loading placeholders for good
+    container.querySelectorAll('.skeleton').forEach(skeleton => skeleton.remove());
+
+    // Lists get a list item, so the markup stays valid
+    const element = document.createElement(/^(UL|OL)$/.test(container.tagName) ? 'li' : 'div');
+    element.className = `page-state page-state--${kind}`;
+    element.setAttribute('role', STATES[kind].role);
+    element.innerHTML = stateHTML(kind, options);
+    if (options.retry) retries.set(element, options.retry);
+
+    container.setAttribute('data-page-state', kind);
+    container.appendChild(element);
+    setLoadState(container, kind === 'error' ? 'error' : 'loaded');
+    return element;
+  }
+
+  // The loader shows a fresh error state if the retry fails too
+  async function handleRetry(event) {
+    const button = event.target.closest && event.target.closest('.js-page-state-retry');
+    const retry = button && retries.get(button.closest('.page-state'));
+    if (!retry) return;
+
+    event.preventDefault();
+    button.disabled = true;
+    button.textContent = 'loading…';
+
+    try {
+      await retry();
+    } catch (error) {
+      console.error('Retry failed:', error);
+    } finally {
+      button.disabled = false;
+      button.textContent = 'try again';
+    }
+  }
+
+  // Skeletons in the page HTML need the styles before any data arrives
+  injectStyles();
+  document.addEventListener('click', handleRetry);
+
+  window.PageStates = {
+    show,
+    clear,
+    setLoadState,
+    needsLoad
+  };
+})();
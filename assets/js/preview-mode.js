@@ -0,0 +1,146 @@
+/**
+ * Preview Mode
+ * `?preview=<token>` shows unpublished CMS content for client sign-off.
+ * The token is kept in sessionStorage for the tab, DataLoader sends it to
+ * the CMS and skips every cache, and a "Preview" ribbon stays on screen.
+ * `?preview=off` (or the ribbon's exit link) leaves preview mode.
+ */
+
+(function () {
+  'use strict';
+
+  const SESSION_KEY = 'dfm:preview-token';
+  const QUERY_PARAM = 'preview';
+  const RIBBON_ID = 'preview-ribbon';
+
+  function readToken() {
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(QUERY_PARAM);
+
+    try {
+      if (value === null) {
+        return window.sessionStorage.getItem(SESSION_KEY);
+      }
+      if (value === '' || value === 'off') {
+        window.sessionStorage.removeItem(SESSION_KEY);
+        return null;
+      }
+      window.sessionStorage.setItem(SESSION_KEY, value);
+    } catch (error) {
+      // sessionStorage unavailable - preview only lasts while ?preview= is in the URL
+    }
+
+    return value || null;
+  }
+
+  const token = readToken();
+
+  function isActive() {
+    return !!token;
+  }
+
+  // Add the token to a CMS URL
+  function withToken(url) {
+    if (!token) return url;
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}${QUERY_PARAM}=${encodeURIComponent(token)}`;
+  }
+
+  // Put ?preview= back on the address bar after the SPA router dropped it
+  function syncUrl() {
+    if (!token) return;
+
+    const url = new URL(window.location.href);
+    if (url.searchParams.get(QUERY_PARAM) === token) return;
+
+    url.searchParams.set(QUERY_PARAM, token);
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  function injectRibbonStyles() {
+    const styleId = 'preview-ribbon-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .preview-ribbon {
+        position: fixed;
+        top: 0;
+        left: 50%;
+        z-index: 1000;
+        display: flex;
+        gap: 12px;
+        align-items: center;
+        padding: 4px 12px;
+        background: #ff3b30;
+        color: #fff;
+        font-size: 12px;
+        line-height: 14px;
+        letter-spacing: 0.08em;
+        text-transform: uppercase;
+        transform: translateX(-50%);
+      }
+      .preview-ribbon button {
+        padding: 0;
+        border: 0;
+        background: none;
+        color: inherit;
+        font: inherit;
+        text-decoration: underline;
+        cursor: pointer;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function showRibbon() {
+    if (!token || document.getElementById(RIBBON_ID)) return;
+
+    injectRibbonStyles();
+
+    const ribbon = document.createElement('div');
+    ribbon.id = RIBBON_ID;
+    ribbon.className = 'preview-ribbon';
+    ribbon.setAttribute('role', 'status');
+    ribbon.innerHTML = '<span>Preview – unpublished content</span><button type="button">exit</button>';
+    ribbon.querySelector('button').addEventListener('click', exit);
+    document.body.appendChild(ribbon);
+  }
+
+  // Called after every SPA navigation (see setupRouteChangeListener in site-config.js)
+  function restore() {
+    if (!token) return;
+    syncUrl();
+    showRibbon();
+  }
+
+  function exit() {
+    try {
+      window.sessionStorage.removeItem(SESSION_KEY);
+    } catch (error) {
+      // Nothing stored
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete(QUERY_PARAM);
+    window.location.replace(url.toString());
+  }
+
+  if (token) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', restore);
+    } else {
+      restore();
+    }
+    console.log('✓ Preview mode active: drafts are loaded and caches are bypassed');
+  }
+
+  window.PreviewMode = {
+    token,
+    isActive,
+    withToken,
+    restore,
+    exit
+  };
+})();
@@ -0,0 +1,123 @@
+/**
+ * Project Card
+ * The single `.box--work` card used by the homepage grid, the works grid,
+ * site-config.js and cms-integration.js. Expects a project normalized by
+ * DataLoader.normalizeProject; markup is built with SafeHTML (safe-html.js).
+ *
+ *   ProjectCard.html(project, { media: 'lazy', link: 'navigate' })  -> string
+ *   ProjectCard.element(project, options)                           -> <li>
+ *
+ * Options:
+ *   media  'lazy'  poster/video sources in data-src, revealed by observeLazyMedia (default)
+ *          'eager' sources set directly, for cards rendered above the fold
+ *   link   'navigate' full page load to project.link (default)
+ *          'replace'  same, but replaces the current history entry
+ *          'navigo'   left to the SPA router via data-navigo
+ */
+
+(function () {
+  'use strict';
+
+  const DEFAULTS = {
+    media: 'lazy',
+    link: 'navigate'
+  };
+
+  const LINK_MODES = ['navigate', 'replace', 'navigo'];
+
+  const { html: safe, trusted } = window.SafeHTML;
+
+  const ARROW_SVG = trusted(`<svg width="11" height="10" viewBox="0 0 11 10" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M8.72366 3.91174H7.0685L5.14349 3.8482L6.53777 4.99985L8.40882 6.65189L7.19444 7.72412L5.3234 6.07209L4.01007 4.83306L4.07303 6.50892L4.06404 8.02593L2.3819 6.54069L2.39989 2.42649L7.04152 2.42649L8.72366 3.91174Z" fill="white"/>
+              </svg>`);
+
+  function resolveOptions(options) {
+    const resolved = { ...DEFAULTS, ...options };
+    if (!LINK_MODES.includes(resolved.link)) {
+      console.warn(`⚠ Unknown card link mode "${resolved.link}", using "${DEFAULTS.link}"`);
+      resolved.link = DEFAULTS.link;
+    }
+    return resolved;
+  }
+
+  // Lazy media keeps its sources in data-* until observeLazyMedia reveals them
+  function mediaHTML(project, lazy) {
+    const lazyClass = lazy ? ' lazy-media' : '';
+    const poster = lazy
+      ? safe`data-src="${project.poster_image}" data-srcset="${project.poster_image_srcset}"`
+      : safe`src="${project.poster_image}" srcset="${project.poster_image_srcset}"`;
+    const video = lazy ? safe`data-src="${project.video_url}"` : safe`src="${project.video_url}"`;
+
+    return safe`<div class="box--work__video video-wrapper has-poster">
+            <img class="video-img-poster${lazyClass}" ${poster} alt="">
+            <video class="js-video${lazyClass}" ${video} playsinline loop muted></video>
+          </div>`;
+  }
+
+  function linkAttributes(project, link) {
+    return link === 'navigo'
+      ? safe`href="${project.link}" data-navigo`
+      : safe`href="${project.link}" data-card-link="${link}"`;
+  }
+
+  // Markup string; every project field is escaped and URLs are validated
+  function html(project, options = {}) {
+    const { media, link } = resolveOptions(options);
+    const info = safe`<h2>${project.title}</h2>
+              <p>${project.client}</p>
+              <p>${project.category}</p>`;
+
+    return safe`
+      <li class="box box--work" data-cat="${project.data_cat}" data-project-id="${project.id}">
+        <a ${linkAttributes(project, link)} class="box--work__link js-has-cursor-text">
+          <div class="box--work__info">
+            ${info}
+          </div>
+          ${mediaHTML(project, media === 'lazy')}
+          <div class="cursor-text-animated js-cursor-text-animated">
+            <div class="mooving-elements is-arrow" data-friction="1">
+              ${ARROW_SVG}
+            </div>
+            <div class="mooving-elements shift cursor-main-text" data-friction="5">
+              ${info}
+            </div>
+          </div>
+        </a>
+      </li>
+    `.toString();
+  }
+
+  function element(project, options) {
+    const template = document.createElement('template');
+    template.innerHTML = html(project, options).trim();
+    return template.content.firstElementChild;
+  }
+
+  // One delegated listener replaces the per-card inline onclick handlers.
+  // Capture phase so the router and hover scripts never see the click.
+  function handleCardClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const anchor = event.target.closest && event.target.closest('a[data-card-link]');
+    if (!anchor) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const href = anchor.getAttribute('href');
+    if (anchor.getAttribute('data-card-link') === 'replace') {
+      window.location.replace(href);
+    } else {
+      window.location.href = href;
+    }
+  }
+
+  document.addEventListener('click', handleCardClick, true);
+
+  window.ProjectCard = {
+    html,
+    element,
+    defaults: DEFAULTS
+  };
+})();
@@ -0,0 +1,210 @@
+/**
+ * Project Navigation
+ * Previous/next and related work for the project detail page.
+ *
+ * The homepage and works grids record the order they were last rendered in
+ * (category filter and search results included) in sessionStorage, so
+ * previous/next on the detail page walks the same list the viewer came from.
+ * Without a recorded order, or when the project is not in it, the full
+ * project list is used.
+ *
+ * Related work is picked from projects sharing the client, `data_cat` or
+ * classification of the current one; PageRenderer renders it with the
+ * standard project card. The strip opens when the film ends or from the
+ * "related work" link.
+ */
+
+(function () {
+  'use strict';
+
+  const SESSION_KEY = 'dfm:project-order';
+  const GRID_VIEWS = ['index-projects', 'works-projects'];
+  const RELATED_LIMIT = 4;
+
+  // Shared fields and how much each one counts towards relatedness
+  const RELATED_FIELDS = [
+    { name: 'client', weight: 3 },
+    { name: 'data_cat', weight: 2 },
+    { name: 'classification', weight: 1 }
+  ];
+
+  const bus = window.EventBus;
+
+  function readOrder() {
+    try {
+      const stored = JSON.parse(window.sessionStorage.getItem(SESSION_KEY));
+      return stored && Array.isArray(stored.ids) ? stored.ids : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function recordOrder(container) {
+    const ids = Array.from(container.querySelectorAll(':scope > li[data-project-id]'))
+      .map(card => card.getAttribute('data-project-id'));
+    if (!ids.length) return;
+
+    try {
+      window.sessionStorage.setItem(SESSION_KEY, JSON.stringify({ ids }));
+    } catch (error) {
+      // sessionStorage unavailable - previous/next follows the full list
+    }
+  }
+
+  // `projects` in the order the viewer last saw them, when that order has `project`
+  function sequence(projects, project) {
+    const ids = readOrder();
+    if (!ids || !ids.includes(String(project.id))) return projects;
+
+    const byId = new Map(projects.map(item => [String(item.id), item]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  // Previous and next project, wrapping around at both ends
+  function neighbours(projects, project) {
+    const list = sequence(projects, project);
+    const index = list.findIndex(item => String(item.id) === String(project.id));
+    if (index === -1 || list.length < 2) return { previous: null, next: null };
+
+    return {
+      previous: list[(index - 1 + list.length) % list.length],
+      next: list[(index + 1) % list.length]
+    };
+  }
+
+  function relatedness(candidate, project) {
+    return RELATED_FIELDS.reduce((score, field) => {
+      const value = project[field.name];
+      return value && candidate[field.name] === value ? score + field.weight : score;
+    }, 0);
+  }
+
+  // Projects sharing client, category or classification, closest first
+  function related(projects, project, limit = RELATED_LIMIT) {
+    return projects
+      .filter(candidate => String(candidate.id) !== String(project.id))
+      .map((candidate, index) => ({ candidate, index, score: relatedness(candidate, project) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit)
+      .map(entry => entry.candidate);
+  }
+
+  function injectStyles() {
+    const styleId = 'project-navigation-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .box--video__pager {
+        position: absolute;
+        right: 25px;
+        bottom: 30px;
+        left: 25px;
+        z-index: 2;
+        display: flex;
+        justify-content: space-between;
+        color: var(--light-color);
+        font-size: 10px;
+        line-height: 12px;
+        pointer-events: none;
+      }
+      .box--video__pager a {
+        pointer-events: auto;
+      }
+      .box--video__pager a[hidden] {
+        display: block;
+        visibility: hidden;
+      }
+      .box--video__info .lnk--related {
+        display: inline-block;
+        margin-top: 10px;
+        margin-left: 12px;
+        font-weight: 400;
+        text-decoration: underline;
+      }
+      .box--video__related {
+        position: absolute;
+        right: 0;
+        bottom: 0;
+        left: 0;
+        z-index: 3;
+        max-height: 60vh;
+        padding: 20px 25px 60px;
+        overflow-y: auto;
+        background-color: var(--bg-color);
+        color: var(--light-color);
+        opacity: 0;
+        transform: translateY(8px);
+        transition: all 0.4s cubic-bezier(0.63, 0.01, 0, 0.83);
+        visibility: hidden;
+      }
+      .box--video__related.is-open {
+        opacity: 1;
+        transform: none;
+        visibility: visible;
+      }
+      .box--video__related-title {
+        margin: 0 0 12px;
+        font-size: 10px;
+        font-weight: 700;
+        line-height: 12px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function setRelatedOpen(open) {
+    const panel = document.getElementById('related');
+    if (!panel || panel.hidden) return;
+
+    panel.classList.toggle('is-open', open);
+    document.querySelectorAll('.js-toggle-related').forEach(link => {
+      link.textContent = link.getAttribute(open ? 'data-hide' : 'data-show');
+      link.setAttribute('aria-expanded', String(open));
+    });
+  }
+
+  // The toggle link is only shown when there is related work to open
+  function syncRelatedToggle() {
+    const panel = document.getElementById('related');
+    const empty = !panel || panel.hidden;
+    document.querySelectorAll('.js-toggle-related').forEach(link => {
+      link.hidden = empty;
+    });
+    if (!empty) setRelatedOpen(panel.classList.contains('is-open'));
+  }
+
+  function handleClick(event) {
+    const toggle = event.target.closest && event.target.closest('.js-toggle-related');
+    if (!toggle) return;
+
+    event.preventDefault();
+    const panel = document.getElementById('related');
+    setRelatedOpen(!(panel && panel.classList.contains('is-open')));
+  }
+
+  // `ended` does not bubble; listen in the capture phase
+  function handleEnded(event) {
+    if (event.target.id === 'project-video') setRelatedOpen(true);
+  }
+
+  document.addEventListener('click', handleClick);
+  document.addEventListener('ended', handleEnded, true);
+
+  bus.on('render:done', detail => {
+    if (GRID_VIEWS.includes(detail.view) && !detail.partial) {
+      recordOrder(detail.container);
+    } else if (detail.view === 'related-projects') {
+      injectStyles();
+      syncRelatedToggle();
+    }
+  });
+
+  window.ProjectNavigation = {
+    neighbours,
+    related,
+    sequence
+  };
+})();
@@ -0,0 +1,390 @@
+/**
+ * Project Search
+ * Fuzzy search for the works page. Matches title, client, category,
+ * languages, classification and credit names, re-renders the works grid
+ * with the results (best first) and highlights the matches on each card.
+ * The query is kept in the URL as `?q=`.
+ *
+ * Every word of the query is matched on its own, as a substring, as the
+ * letters of a word in order ("shrjh"), or with one typo ("sharja").
+ * A project is listed when at least half of the words match, so
+ * "that Sharjah investment spot" still finds the Sharjah investment film.
+ */
+
+(function () {
+  'use strict';
+
+  const QUERY_PARAM = 'q';
+  const INPUT_ID = 'project-search-input';
+  const DEBOUNCE_MS = 150;
+  const MIN_FUZZY_LENGTH = 3;
+
+  // Searched fields; `visible` ones are on the card and highlighted in place
+  const FIELDS = [
+    { name: 'title', label: 'Title', visible: true, weight: 3 },
+    { name: 'client', label: 'Client', visible: true, weight: 2 },
+    { name: 'category', label: 'Category', visible: true, weight: 1 },
+    { name: 'languages', label: 'Languages', weight: 1 },
+    { name: 'classification', label: 'Classification', weight: 1 },
+    { name: 'credits', label: 'Credits', weight: 1 }
+  ];
+
+  const bus = window.EventBus;
+  const { html, escape, trusted } = window.SafeHTML;
+
+  // Query the works grid was last rendered for
+  let applied = current();
+  // Results of the last search by project id, used to highlight the cards
+  let lastResults = new Map();
+  let debounceTimer = null;
+
+  function current() {
+    const value = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+    return value && value.trim() ? value.trim() : null;
+  }
+
+  // Lowercase and strip accents one character at a time so match positions
+  // line up with the original text
+  function fold(text) {
+    return Array.from(String(text || ''), char => {
+      const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      return folded.length === char.length ? folded : char.toLowerCase();
+    }).join('');
+  }
+
+  function termsOf(query) {
+    return fold(query).split(/[\s,/&+-]+/).filter(Boolean);
+  }
+
+  function fieldText(project, name) {
+    const value = project[name];
+    if (name === 'credits') {
+      return (value || []).map(credit => credit && credit.name).filter(Boolean).join(', ');
+    }
+    return Array.isArray(value) ? value.join(', ') : String(value || '');
+  }
+
+  // Levenshtein distance, stopping early once it exceeds `max`
+  function withinDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return false;
+
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) return false;
+      previous = row;
+    }
+    return previous[b.length] <= max;
+  }
+
+  // Best match of one term in one folded text: { score, ranges } or null
+  function matchTerm(term, text) {
+    const index = text.indexOf(term);
+    if (index !== -1) {
+      const atWordStart = index === 0 || /[^a-z0-9\u0080-\uffff]/.test(text[index - 1]);
+      return { score: atWordStart ? 10 : 7, ranges: [[index, index + term.length]] };
+    }
+
+    if (term.length < MIN_FUZZY_LENGTH) return null;
+
+    const words = [];
+    text.replace(/[a-z0-9\u0080-\uffff]+/g, (word, offset) => {
+      words.push({ word, offset });
+      return word;
+    });
+
+    // Letters in order inside a single word: "shrjh" -> "sharjah"
+    for (const { word, offset } of words) {
+      const ranges = subsequence(term, word, offset);
+      if (ranges && ranges.length <= Math.ceil(term.length / 2)) {
+        return { score: 5 - Math.min(ranges.length, 4), ranges };
+      }
+    }
+
+    // One typo (two for long words): "sharja" -> "sharjah"
+    const maxTypos = term.length >= 8 ? 2 : 1;
+    for (const { word, offset } of words) {
+      if (word.length >= MIN_FUZZY_LENGTH && withinDistance(term, word, maxTypos)) {
+        return { score: 3, ranges: [[offset, offset + word.length]] };
+      }
+    }
+
+    return null;
+  }
+
+  function subsequence(term, word, offset) {
+    if (term[0] !== word[0]) return null;
+
+    const ranges = [];
+    let position = 0;
+    for (const char of term) {
+      const found = word.indexOf(char, position);
+      if (found === -1) return null;
+
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === offset + found) {
+        last[1]++;
+      } else {
+        ranges.push([offset + found, offset + found + 1]);
+      }
+      position = found + 1;
+    }
+    return ranges;
+  }
+
+  // Score a project against all terms; null when too few terms match
+  function matchProject(project, terms) {
+    const fields = {};
+    let score = 0;
+    let matched = 0;
+
+    terms.forEach(term => {
+      let best = null;
+
+      FIELDS.forEach(field => {
+        const text = fold(fieldText(project, field.name));
+        const match = text && matchTerm(term, text);
+        if (!match) return;
+
+        const weighted = match.score * field.weight;
+        if (!best || weighted > best.score) best = { field: field.name, score: weighted };
+        (fields[field.name] = fields[field.name] || []).push(...match.ranges);
+      });
+
+      if (best) {
+        matched++;
+        score += best.score;
+      }
+    });
+
+    if (matched === 0 || matched < Math.ceil(terms.length / 2)) return null;
+    return { project, score: score * matched, fields };
+  }
+
+  // Projects matching `query`, best first
+  function search(projects, query) {
+    const terms = termsOf(query || '');
+    if (!terms.length) return projects.map(project => ({ project, score: 0, fields: {} }));
+
+    return projects
+      .map(project => matchProject(project, terms))
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Ranges may overlap once every term has added its own
+  function mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    sorted.forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range.slice());
+      }
+    });
+    return merged;
+  }
+
+  // Escaped text with <mark>s around the matched ranges
+  function highlightHTML(text, ranges) {
+    let markup = '';
+    let position = 0;
+
+    mergeRanges(ranges).forEach(([start, end]) => {
+      markup += escape(text.slice(position, start));
+      markup += `<mark class="project-search__mark">${escape(text.slice(start, end))}</mark>`;
+      position = end;
+    });
+
+    return trusted(markup + escape(text.slice(position)));
+  }
+
+  function clearHighlights(card) {
+    card.querySelectorAll('.project-search__hint').forEach(hint => hint.remove());
+    card.querySelectorAll('mark.project-search__mark').forEach(mark => {
+      const parent = mark.parentNode;
+      mark.replaceWith(mark.textContent);
+      parent.normalize();
+    });
+  }
+
+  // Mark matches in the card's own text; fields that are not on the card
+  // (credits, languages, classification) get a hint line below the card text
+  function highlightCard(card, result) {
+    clearHighlights(card);
+    if (!result) return;
+
+    const lines = {
+      title: 'h2',
+      client: 'p:nth-of-type(1)',
+      category: 'p:nth-of-type(2)'
+    };
+
+    FIELDS.filter(field => field.visible && result.fields[field.name]).forEach(field => {
+      const text = fieldText(result.project, field.name);
+      card.querySelectorAll(`.box--work__info > ${lines[field.name]}, .cursor-main-text > ${lines[field.name]}`)
+        .forEach(element => {
+          if (element.textContent === text) {
+            element.innerHTML = highlightHTML(text, result.fields[field.name]);
+          }
+        });
+    });
+
+    const hidden = FIELDS.find(field => !field.visible && result.fields[field.name]);
+    const info = card.querySelector('.box--work__info');
+    if (hidden && info) {
+      const text = fieldText(result.project, hidden.name);
+      info.insertAdjacentHTML(
+        'beforeend',
+        html`<p class="project-search__hint">${hidden.label}: ${highlightHTML(text, result.fields[hidden.name])}</p>`.toString()
+      );
+    }
+  }
+
+  function highlightGrid(container) {
+    const active = !!current();
+    container.querySelectorAll(':scope > li[data-project-id]').forEach(card => {
+      if (active) {
+        highlightCard(card, lastResults.get(card.getAttribute('data-project-id')));
+      } else {
+        clearHighlights(card);
+      }
+    });
+  }
+
+  // Called by PageRenderer for the works grid while ?q= is set
+  async function searchProjects(query, options = {}) {
+    const results = search(await window.fetchProjects(options), query);
+    lastResults = new Map(results.map(result => [String(result.project.id), result]));
+    console.log(`✓ Search "${query}": ${results.length} project(s)`);
+    return results.map(result => result.project);
+  }
+
+  function injectStyles() {
+    const styleId = 'project-search-styles';
+    if (document.getElementById(styleId)) return;
+
+    const style = document.createElement('style');
+    style.id = styleId;
+    style.textContent = `
+      .project-search {
+        margin: 0 0 24px;
+      }
+      .project-search__input {
+        width: 100%;
+        max-width: 360px;
+        padding: 6px 0;
+        border: 0;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.4);
+        border-radius: 0;
+        background: none;
+        color: inherit;
+        font: inherit;
+        font-size: 14px;
+        outline: none;
+        -webkit-appearance: none;
+      }
+      .project-search__input:focus {
+        border-bottom-color: #fff;
+      }
+      .project-search__status {
+        margin-top: 6px;
+        font-size: 12px;
+        opacity: 0.6;
+      }
+      mark.project-search__mark {
+        background: none;
+        color: inherit;
+        text-decoration: underline;
+      }
+      .project-search__hint {
+        opacity: 0.6;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  function updateUrl(query) {
+    const url = new URL(window.location.href);
+    if (query) {
+      url.searchParams.set(QUERY_PARAM, query);
+    } else {
+      url.searchParams.delete(QUERY_PARAM);
+    }
+    // Typing must not fill the history; one entry per search is enough
+    window.history.replaceState(window.history.state, '', url.toString());
+  }
+
+  function commit(input) {
+    clearTimeout(debounceTimer);
+    const value = input.value.trim() || null;
+    updateUrl(value);
+    apply(value);
+  }
+
+  function handleInput(event) {
+    if (event.target.id !== INPUT_ID) return;
+
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => commit(event.target), DEBOUNCE_MS);
+  }
+
+  // Without this script the form still works as a plain GET to ?q=
+  function handleSubmit(event) {
+    const input = event.target.querySelector && event.target.querySelector(`#${INPUT_ID}`);
+    if (!input) return;
+
+    event.preventDefault();
+    commit(input);
+  }
+
+  function updateStatus(count) {
+    const status = document.getElementById('project-search-status');
+    if (!status) return;
+    status.textContent = current() ? `${count} project${count === 1 ? '' : 's'}` : '';
+  }
+
+  // Keep the box in sync with ?q= after reloads, back/forward and SPA navigation
+  function syncInput() {
+    const input = document.getElementById(INPUT_ID);
+    if (!input) return;
+
+    injectStyles();
+    if (document.activeElement !== input) input.value = current() || '';
+  }
+
+  function apply(query) {
+    if (query === applied) return;
+    applied = query;
+    bus.emit('filter:change', { filter: 'query', value: query });
+  }
+
+  document.addEventListener('input', handleInput);
+  document.addEventListener('submit', handleSubmit);
+  window.addEventListener('popstate', () => {
+    syncInput();
+    apply(current());
+  });
+
+  bus.on('render:done', detail => {
+    if (detail.view !== 'works-projects' || detail.append || detail.partial) return;
+    applied = current();
+    syncInput();
+    highlightGrid(detail.container);
+    updateStatus(detail.container.querySelectorAll(':scope > li[data-project-id]').length);
+  });
+
+  window.ProjectSearch = {
+    current,
+    search,
+    searchProjects
+  };
+})();
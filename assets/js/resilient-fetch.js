@@ -0,0 +1,141 @@
+/**
+ * Resilient Fetch
+ * Request timeouts, exponential-backoff retries and a circuit breaker
+ * Shared by data-loader.js and api-config.js so a hanging CMS never
+ * blocks the local JSON fallback
+ */
+
+(function () {
+  'use strict';
+
+  const DEFAULTS = {
+    timeout: 5000,
+    retries: 2,
+    retryDelay: 300
+  };
+
+  class RequestError extends Error {
+    constructor(message, { status, retryable } = {}) {
+      super(message);
+      this.name = 'RequestError';
+      this.status = status;
+      this.retryable = retryable !== false;
+    }
+  }
+
+  function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Single attempt, aborted after `timeout` ms
+  async function fetchWithTimeout(url, options = {}) {
+    const { timeout = DEFAULTS.timeout, ...fetchOptions } = options;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await fetch(url, { ...fetchOptions, signal: controller.signal });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new RequestError(`Request timed out after ${timeout}ms: ${url}`);
+      }
+      throw new RequestError(error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Retries network errors, timeouts and 5xx responses; 4xx fail immediately
+  async function fetchJSON(url, options = {}) {
+    const {
+      retries = DEFAULTS.retries,
+      retryDelay = DEFAULTS.retryDelay,
+      ...requestOptions
+    } = options;
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = retryDelay * Math.pow(2, attempt - 1) + Math.random() * retryDelay;
+        console.log(`↻ Retry ${attempt}/${retries} for ${url} in ${Math.round(delay)}ms`);
+        await wait(delay);
+      }
+
+      try {
+        const response = await fetchWithTimeout(url, requestOptions);
+
+        if (!response.ok) {
+          throw new RequestError(`HTTP error! status: ${response.status}`, {
+            status: response.status,
+            retryable: response.status >= 500
+          });
+        }
+
+        return await response.json();
+      } catch (error) {
+        lastError = error;
+        if (error.retryable === false) break;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Circuit breaker persisted in localStorage so a failing CMS is skipped
+   * across page loads until the cooldown expires. After the cooldown one
+   * trial request is let through; a failure re-opens the circuit at once.
+   */
+  function createCircuitBreaker({ storageKey, failureThreshold = 3, cooldown = 60000 }) {
+    let memoryState = { failures: 0, openedUntil: 0 };
+
+    function read() {
+      try {
+        const raw = window.localStorage.getItem(storageKey);
+        return raw ? JSON.parse(raw) : memoryState;
+      } catch (error) {
+        return memoryState;
+      }
+    }
+
+    function write(state) {
+      memoryState = state;
+      try {
+        window.localStorage.setItem(storageKey, JSON.stringify(state));
+      } catch (error) {
+        // Storage unavailable - breaker only lasts for this page
+      }
+    }
+
+    return {
+      isOpen() {
+        return Date.now() < read().openedUntil;
+      },
+      recordSuccess() {
+        write({ failures: 0, openedUntil: 0 });
+      },
+      recordFailure() {
+        const state = read();
+        const failures = state.failures + 1;
+        const openedUntil = failures >= failureThreshold ? Date.now() + cooldown : 0;
+        if (openedUntil) {
+          console.warn(`⚡ Circuit open for ${Math.round(cooldown / 1000)}s after ${failures} failures (${storageKey})`);
+        }
+        write({ failures, openedUntil });
+      },
+      reset() {
+        write({ failures: 0, openedUntil: 0 });
+      }
+    };
+  }
+
+  window.ResilientFetch = {
+    fetchJSON,
+    fetchWithTimeout,
+    createCircuitBreaker,
+    RequestError
+  };
+
+  console.log('✓ ResilientFetch module initialized');
+})();
@@ -0,0 +1,173 @@
+/**
+ * Safe HTML
+ * Escape-by-default templating for everything rendered from CMS data.
+ *
+ *   SafeHTML.html`<h2>${project.title}</h2>`   text is escaped
+ *   SafeHTML.html`<a href="${project.link}">`  URL attributes are validated too
+ *   SafeHTML.sanitize(founder.bio)             rich text, reduced to an allowlist
+ *
+ * Values returned by html``, sanitize() and trusted() are inserted as-is;
+ * anything else (strings, numbers, CMS fields) is escaped. Arrays are joined.
+ */
+
+(function () {
+  'use strict';
+
+  // Attributes whose value ends up as a URL the browser will load or follow
+  const URL_ATTRIBUTE = /(?:^|\s)(?:href|src|srcset|data-src|data-srcset|poster|action|formaction)\s*=\s*["']?$/i;
+  const SRCSET_ATTRIBUTE = /(?:^|\s)(?:data-)?srcset\s*=\s*["']?$/i;
+  const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+  const BLOCKED_URL = '#';
+
+  // Tags and attributes allowed in rich text fields (founder.bio, main_text)
+  const RICH_TEXT_TAGS = {
+    a: ['href', 'title', 'target', 'rel'],
+    b: [],
+    blockquote: [],
+    br: [],
+    em: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    i: [],
+    li: [],
+    ol: [],
+    p: [],
+    span: [],
+    strong: [],
+    u: [],
+    ul: []
+  };
+  // Removed with their content; any other unknown tag is unwrapped
+  const DROPPED_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'svg', 'math'];
+
+  class SafeString {
+    constructor(value) {
+      this.value = value;
+    }
+
+    toString() {
+      return this.value;
+    }
+  }
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Relative URLs and http(s)/mailto/tel pass; javascript:, data: and friends become '#'
+  function safeUrl(value) {
+    const url = String(value == null ? '' : value).trim();
+    if (!url) return '';
+
+    // Browsers ignore control characters and whitespace inside the scheme
+    const scheme = url.replace(/[\u0000-\u001F\u007F\s]+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (!scheme) return url;
+
+    if (SAFE_PROTOCOLS.includes(scheme[1].toLowerCase() + ':')) return url;
+
+    console.warn('⚠ Blocked unsafe URL:', url);
+    return BLOCKED_URL;
+  }
+
+  function safeSrcset(value) {
+    return String(value == null ? '' : value)
+      .split(',')
+      .map(candidate => {
+        const [url, ...descriptors] = candidate.trim().split(/\s+/);
+        return url ? [safeUrl(url), ...descriptors].join(' ') : '';
+      })
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  function interpolate(value, precedingMarkup) {
+    if (value instanceof SafeString) return value.value;
+    if (Array.isArray(value)) return value.map(item => interpolate(item, precedingMarkup)).join('');
+    if (value === null || value === undefined || value === false) return '';
+
+    if (SRCSET_ATTRIBUTE.test(precedingMarkup)) return escapeHtml(safeSrcset(value));
+    if (URL_ATTRIBUTE.test(precedingMarkup)) return escapeHtml(safeUrl(value));
+    return escapeHtml(value);
+  }
+
+  // Tagged template: html`<p>${text}</p>`
+  function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+      result += interpolate(value, result) + strings[index + 1];
+    });
+    return new SafeString(result);
+  }
+
+  // Markup written in this codebase (icons, fixed fragments), never CMS data
+  function trusted(markup) {
+    return new SafeString(String(markup));
+  }
+
+  function sanitizeNode(node) {
+    Array.from(node.childNodes).forEach(child => {
+      if (child.nodeType === Node.TEXT_NODE) return;
+
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        child.remove();
+        return;
+      }
+
+      const tag = child.tagName.toLowerCase();
+
+      if (DROPPED_TAGS.includes(tag)) {
+        child.remove();
+        return;
+      }
+
+      sanitizeNode(child);
+
+      if (!RICH_TEXT_TAGS[tag]) {
+        child.replaceWith(...Array.from(child.childNodes));
+        return;
+      }
+
+      Array.from(child.attributes).forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        if (!RICH_TEXT_TAGS[tag].includes(name)) {
+          child.removeAttribute(attribute.name);
+        } else if (name === 'href') {
+          child.setAttribute('href', safeUrl(attribute.value));
+        }
+      });
+
+      // New tabs must not get a handle on this window
+      if (tag === 'a' && child.getAttribute('target')) {
+        child.setAttribute('rel', 'noopener noreferrer');
+      }
+    });
+  }
+
+  // Rich text from the CMS: allowlisted tags only, no attributes but safe links
+  function sanitize(markup) {
+    if (markup instanceof SafeString) return markup;
+
+    // <template> content is inert: nothing loads or runs while it is cleaned
+    const template = document.createElement('template');
+    template.innerHTML = String(markup == null ? '' : markup);
+    sanitizeNode(template.content);
+    return new SafeString(template.innerHTML);
+  }
+
+  window.SafeHTML = {
+    html,
+    sanitize,
+    trusted,
+    escape: escapeHtml,
+    safeUrl,
+    // What safeUrl() answers for a URL it blocked
+    BLOCKED_URL,
+    isSafe: value => value instanceof SafeString
+  };
+})();
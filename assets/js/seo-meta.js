@@ -0,0 +1,326 @@
+/**
+ * SEO Meta
+ * Keeps the canonical URL, description, Open Graph and Twitter card tags and
+ * the schema.org JSON-LD in <head> in step with the page on screen, so shared
+ * links get a title, description and preview image.
+ *
+ *   homepage, works   page title/description from config.json
+ *   about, contact    page data from the CMS + Organization JSON-LD
+ *   project detail    poster, video and VideoObject JSON-LD
+ *
+ * Page meta is rebuilt on every route:change (SPA navigation keeps the first
+ * page's <head>) and for a project on render:done `project-detail`.
+ * Settings come from `seo` in config.json. The describe* functions only build
+ * plain objects, so the same meta can be written without a DOM.
+ */
+
+(function () {
+  'use strict';
+
+  const DEFAULTS = {
+    siteName: 'DubaiFilmMaker',
+    siteUrl: '',
+    locale: 'en_US',
+    twitterSite: '',
+    defaultImage: '',
+    pages: {},
+    organization: {}
+  };
+
+  const MANAGED_ATTRIBUTE = 'data-seo';
+
+  const bus = window.EventBus;
+
+  // Bumped on every update so a slow fetch cannot overwrite a newer page
+  let generation = 0;
+
+  async function loadSettings() {
+    try {
+      const config = await window.DataLoader.fetchSiteConfig();
+      return withDefaults(config && config.seo);
+    } catch (error) {
+      return withDefaults();
+    }
+  }
+
+  function withDefaults(settings = {}) {
+    const merged = { ...DEFAULTS, ...settings };
+    merged.siteUrl = String(merged.siteUrl || window.location.origin).replace(/\/+$/, '');
+    return merged;
+  }
+
+  function absoluteUrl(url, settings) {
+    if (!url) return '';
+    try {
+      return new URL(url, `${settings.siteUrl}/`).href;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  function pageTitle(title, settings) {
+    return title ? `${settings.siteName} – ${title}` : settings.siteName;
+  }
+
+  function plainText(markup) {
+    return String(markup || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // Descriptions are cut at a word boundary, the length previews show in full
+  function summary(text, length = 160) {
+    const clean = plainText(text);
+    if (clean.length <= length) return clean;
+    return `${clean.slice(0, length - 1).replace(/\s+\S*$/, '')}…`;
+  }
+
+  function organization(settings, contact) {
+    const org = settings.organization || {};
+    const address = (contact && contact.address) || {};
+    const social = (contact && contact.social) || {};
+
+    return compact({
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      '@id': `${settings.siteUrl}/#organization`,
+      name: org.name || settings.siteName,
+      url: `${settings.siteUrl}/`,
+      logo: absoluteUrl(org.logo, settings),
+      email: address.email || org.email,
+      telephone: address.phone || org.telephone,
+      address: compact({
+        '@type': 'PostalAddress',
+        streetAddress: address.street || org.streetAddress,
+        addressLocality: org.addressLocality,
+        addressCountry: org.addressCountry
+      }),
+      sameAs: Object.values(social).filter(Boolean)
+    });
+  }
+
+  // Nothing known: no value, an empty list or a node with only its @type
+  function isEmpty(value) {
+    if (value === undefined || value === null || value === '') return true;
+    if (Array.isArray(value)) return !value.length;
+    if (typeof value === 'object') return Object.keys(value).every(key => key === '@type');
+    return false;
+  }
+
+  // Drop empty values so the JSON-LD only states what is known
+  function compact(object) {
+    Object.keys(object).forEach(key => {
+      if (isEmpty(object[key])) delete object[key];
+    });
+    return object;
+  }
+
+  // Meta for a listing or content page: slug is homepage, works, about or contact
+  function describePage(slug, settings, data = {}) {
+    const page = (settings.pages && settings.pages[slug]) || {};
+    const content = data.page || {};
+    const fallback = (settings.pages && settings.pages.homepage) || {};
+    const description = summary(page.description || content.description || fallback.description);
+    const poster = data.projects && data.projects.find(project => project.poster_image);
+
+    const meta = {
+      title: pageTitle(page.title || content.title, settings),
+      description,
+      canonical: absoluteUrl(page.path || window.location.pathname, settings),
+      type: 'website',
+      image: absoluteUrl(settings.defaultImage || (poster && poster.poster_image), settings),
+      imageAlt: poster && !settings.defaultImage ? poster.title : '',
+      jsonLd: []
+    };
+
+    if (slug === 'about') {
+      const founder = content.founder;
+      meta.jsonLd.push(compact({
+        ...organization(settings, data.contact),
+        description,
+        founder: founder && founder.name
+          ? compact({ '@type': 'Person', name: founder.name, jobTitle: founder.title })
+          : undefined
+      }));
+    } else if (slug === 'contact') {
+      meta.jsonLd.push(organization(settings, content));
+    }
+
+    return meta;
+  }
+
+  function describeProject(project, settings) {
+    const canonical = absoluteUrl(project.link, settings);
+    const description = summary(
+      [project.client, project.category, project.classification].filter(Boolean).join(' – ')
+    );
+    const image = absoluteUrl(project.poster_image, settings);
+    const video = absoluteUrl(project.video_url, settings);
+
+    return {
+      title: pageTitle(project.title, settings),
+      description: description ? `${project.title} – ${description}` : project.title,
+      canonical,
+      type: video ? 'video.other' : 'website',
+      image,
+      imageAlt: project.title,
+      video,
+      jsonLd: [compact({
+        '@context': 'https://schema.org',
+        '@type': 'VideoObject',
+        name: project.title,
+        description: description || project.title,
+        url: canonical,
+        thumbnailUrl: image ? [image] : undefined,
+        contentUrl: video,
+        embedUrl: project.vimeo_id ? `https://player.vimeo.com/video/${encodeURIComponent(project.vimeo_id)}` : undefined,
+        genre: project.category,
+        inLanguage: project.languages,
+        uploadDate: project.upload_date,
+        publisher: compact({
+          '@type': 'Organization',
+          name: (settings.organization && settings.organization.name) || settings.siteName,
+          logo: absoluteUrl(settings.organization && settings.organization.logo, settings)
+        })
+      })]
+    };
+  }
+
+  // Tag name/value pairs for a meta object; empty values are left out
+  function tagsFor(meta, settings) {
+    const tags = [
+      ['name', 'description', meta.description],
+      ['property', 'og:site_name', settings.siteName],
+      ['property', 'og:locale', settings.locale],
+      ['property', 'og:type', meta.type],
+      ['property', 'og:title', meta.title],
+      ['property', 'og:description', meta.description],
+      ['property', 'og:url', meta.canonical],
+      ['property', 'og:image', meta.image],
+      ['property', 'og:image:alt', meta.imageAlt],
+      ['property', 'og:video', meta.video],
+      ['property', 'og:video:secure_url', meta.video && meta.video.startsWith('https:') ? meta.video : ''],
+      ['property', 'og:video:type', meta.video ? 'video/mp4' : ''],
+      ['name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'],
+      ['name', 'twitter:site', settings.twitterSite],
+      ['name', 'twitter:title', meta.title],
+      ['name', 'twitter:description', meta.description],
+      ['name', 'twitter:image', meta.image]
+    ];
+    return tags.filter(tag => tag[2]);
+  }
+
+  function upsertMeta(attribute, key, content) {
+    let element = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!element) {
+      element = document.createElement('meta');
+      element.setAttribute(attribute, key);
+      document.head.appendChild(element);
+    }
+    element.setAttribute('content', content);
+    element.setAttribute(MANAGED_ATTRIBUTE, '');
+    return element;
+  }
+
+  function upsertCanonical(href) {
+    let link = document.head.querySelector('link[rel="canonical"]');
+    if (!link) {
+      link = document.createElement('link');
+      link.setAttribute('rel', 'canonical');
+      document.head.appendChild(link);
+    }
+    link.setAttribute('href', href);
+    link.setAttribute(MANAGED_ATTRIBUTE, '');
+    return link;
+  }
+
+  // JSON-LD from CMS text ends up in a <script> (and in the prerendered HTML);
+  // escaping < keeps a "</script>" in a title from closing it early
+  function jsonLdText(data) {
+    return JSON.stringify(data)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+  }
+
+  // Write `meta` to <head>; tags from a previous page that no longer apply are removed
+  function apply(meta, settings) {
+    const current = new Set();
+
+    document.title = meta.title;
+    const pageTitleElement = document.getElementById('page-title');
+    if (pageTitleElement) pageTitleElement.textContent = meta.title;
+
+    if (meta.canonical) current.add(upsertCanonical(meta.canonical));
+    tagsFor(meta, settings).forEach(([attribute, key, content]) => {
+      current.add(upsertMeta(attribute, key, content));
+    });
+
+    document.head.querySelectorAll('script[type="application/ld+json"][data-seo]').forEach(script => script.remove());
+    (meta.jsonLd || []).forEach(data => {
+      const script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.setAttribute(MANAGED_ATTRIBUTE, '');
+      script.textContent = jsonLdText(data);
+      document.head.appendChild(script);
+    });
+
+    // Also clears stale static tags (a project's og:video after leaving it)
+    document.head.querySelectorAll('meta[property^="og:"], meta[name^="twitter:"]').forEach(element => {
+      if (!current.has(element)) element.remove();
+    });
+  }
+
+  async function updatePage(slug) {
+    const run = ++generation;
+    const settings = await loadSettings();
+    const data = {};
+
+    try {
+      // Without a default image every page shares the first project poster
+      const projects = settings.defaultImage ? null : window.fetchProjects().catch(() => null);
+
+      if (slug === 'about') {
+        [data.page, data.contact] = await Promise.all([
+          window.fetchAbout().then(result => result.page),
+          window.fetchContact().then(result => result.page).catch(() => null)
+        ]);
+      } else if (slug === 'contact') {
+        data.page = (await window.fetchContact()).page;
+      }
+      data.projects = await projects;
+    } catch (error) {
+      console.warn(`⚠ SEO meta for ${slug} without CMS data:`, error);
+    }
+
+    if (run !== generation) return;
+    apply(describePage(slug, settings, data), settings);
+    console.log(`✓ SEO meta updated: ${slug}`);
+  }
+
+  async function updateProject(project) {
+    const run = ++generation;
+    const settings = await loadSettings();
+    if (run !== generation) return;
+
+    apply(describeProject(project, settings), settings);
+    console.log(`✓ SEO meta updated: ${project.title}`);
+  }
+
+  bus.on('route:change', detail => {
+    if (detail.slug === 'unknown') return;
+    updatePage(detail.slug);
+  }, { replay: true });
+
+  bus.on('render:done', detail => {
+    if (detail.view === 'project-detail' && detail.project) updateProject(detail.project);
+  });
+
+  window.SeoMeta = {
+    describePage,
+    describeProject,
+    tagsFor,
+    apply,
+    updatePage,
+    updateProject,
+    withDefaults
+  };
+})();
@@ -12,12 +12,15 @@
 
   const DEBUG_LOGS = false;
 
+  const bus = window.EventBus;
+
   // Load header configuration
   async function loadHeaderConfig() {
     // Check if config was already loaded synchronously in the head
-    if (window.__headerConfig) {
-      headerConfig = window.__headerConfig;
-      console.log('✓ Header config already loaded (from critical CSS)');
+    const critical = bus.last('data:loaded', 'header');
+    if (critical) {
+      headerConfig = critical.data;
+      console.log(`✓ Header config already loaded (from ${critical.source})`);
       return;
     }
     
@@ -27,6 +30,7 @@
         throw new Error('Header config file not found');
       }
       headerConfig = await response.json();
+      bus.emit('data:loaded', { key: 'header', data: headerConfig, source: 'local' });
       console.log('✓ Header config loaded from data/header.json');
     } catch (error) {
       console.warn('⚠ Could not load data/header.json, using defaults:', error);
@@ -103,27 +107,28 @@
   }
 
   // Update existing project item - preserves event handlers
+  // Expects a project normalized by DataLoader.normalizeProject
   function updateProjectItem(listItem, project) {
     // Update data-cat attribute
-    listItem.setAttribute('data-cat', project.dataCat);
+    listItem.setAttribute('data-cat', project.data_cat);
 
     const link = listItem.querySelector('a.box--work__link');
     if (link) {
       // Update href
-      link.setAttribute('href', `works/${project.slug}`);
+      link.setAttribute('href', project.link);
 
       // Update text content
       const infoH2 = link.querySelector('.box--work__info h2');
       const infoPs = link.querySelectorAll('.box--work__info p');
       if (infoH2) infoH2.textContent = project.title;
-      if (infoPs[0]) infoPs[0].textContent = project.director;
+      if (infoPs[0]) infoPs[0].textContent = project.client;
       if (infoPs[1]) infoPs[1].textContent = project.category;
 
       // Update image
       const img = link.querySelector('img.video-img-poster');
       if (img) {
-        img.setAttribute('data-src', project.posterImage);
-        img.setAttribute('data-srcset', project.posterImageSrcset);
+        img.setAttribute('data-src', project.poster_image);
+        img.setAttribute('data-srcset', project.poster_image_srcset);
         // Trigger lazy load update
         img.removeAttribute('src');
         img.removeAttribute('srcset');
@@ -132,7 +137,7 @@
       // Update video
       const video = link.querySelector('video.js-video');
       if (video) {
-        video.setAttribute('data-src', project.videoUrl);
+        video.setAttribute('data-src', project.video_url);
         // Reset video
         video.removeAttribute('src');
         video.load();
@@ -142,74 +147,15 @@
       const cursorH2 = link.querySelector('.cursor-main-text h2');
       const cursorPs = link.querySelectorAll('.cursor-main-text p');
       if (cursorH2) cursorH2.textContent = project.title;
-      if (cursorPs[0]) cursorPs[0].textContent = project.director;
+      if (cursorPs[0]) cursorPs[0].textContent = project.client;
       if (cursorPs[1]) cursorPs[1].textContent = project.category;
     }
   }
 
   // Create new project item
+  // Expects a project normalized by DataLoader.normalizeProject
   function createProjectItem(project) {
-    const li = document.createElement('li');
-    li.className = 'box box--work';
-    li.setAttribute('data-cat', project.dataCat);
-
-    li.innerHTML = `
-                    <a
-                      href="works/${project.slug}"
-                      data-navigo
-                      class="box--work__link js-has-cursor-text"
-                    >
-                      <div class="box--work__info">
-                        <h2>${project.title}</h2>
-                        <p>${project.director}</p>
-                        <p>${project.category}</p>
-                      </div>
-
-                      <div class="box--work__video video-wrapper has-poster">
-                        <img
-                          class="video-img-poster lazy-media"
-                          data-src="${project.posterImage}"
-                          data-srcset="${project.posterImageSrcset}"
-                          alt=""
-                        />
-                        <video
-                          class="js-video lazy-media"
-                          data-src="${project.videoUrl}"
-                          playsinline
-                          loop
-                          muted
-                        ></video>
-                      </div>
-                      <div class="cursor-text-animated js-cursor-text-animated">
-                        <div
-                          class="mooving-elements is-arrow"
-                          data-friction="1"
-                        >
-                          <svg
-                            width="11"
-                            height="10"
-                            viewBox="0 0 11 10"
-                            fill="none"
-                            xmlns="http://www.w3.org/2000/svg"
-                          >
-                            <path
-                              d="M8.72366 3.91174H7.0685L5.14349 3.8482L6.53777 4.99985L8.40882 6.65189L7.19444 7.72412L5.3234 6.07209L4.01007 4.83306L4.07303 6.50892L4.06404 8.02593L2.3819 6.54069L2.39989 2.42649L7.04152 2.42649L8.72366 3.91174Z"
-                              fill="white"
-                            />
-                          </svg>
-                        </div>
-                        <div
-                          class="mooving-elements shift cursor-main-text"
-                          data-friction="5"
-                        >
-                          <h2>${project.title}</h2>
-                          <p>${project.director}</p>
-                          <p>${project.category}</p>
-                        </div>
-                      </div>
-                    </a>
-`;
-    return li;
+    return window.ProjectCard.element(project, { link: 'navigo' });
   }
 
   // Load site content based on mode (dubaifilmmaker or posterco)
@@ -219,7 +165,10 @@
       return;
     }
 
-    const projects = projectsData[siteMode].projects;
+    const projects = window.DataLoader.normalizeProjects(
+      projectsData[siteMode].projects,
+      'legacy'
+    );
     const projectsList = document.querySelector(
       '.bloc-projects-listing .list--works'
     );
@@ -989,8 +938,7 @@
   window.loadContactContent = async function() {
     try {
       console.log('Loading contact page content...');
-      const data = await window.fetchContact();
-      window.PageRenderer.renderContactContent(data.page);
+      await window.PageRenderer.loadContactPage();
     } catch (error) {
       console.error('Error loading contact content:', error);
     }
@@ -999,8 +947,7 @@
   window.loadAboutContent = async function() {
     try {
       console.log('Loading about page content...');
-      const data = await window.fetchAbout();
-      window.PageRenderer.renderAboutContent(data.page);
+      await window.PageRenderer.loadAboutPage();
     } catch (error) {
       console.error('Error loading about content:', error);
     }
@@ -1009,8 +956,7 @@
   window.loadProjects = async function() {
     try {
       console.log('Loading projects for works page...');
-      const projects = await window.fetchProjects();
-      window.PageRenderer.renderWorksProjects(projects);
+      await window.PageRenderer.loadWorksPage();
     } catch (error) {
       console.error('Error loading projects:', error);
     }
@@ -1019,14 +965,26 @@
   window.loadIndexProjects = async function() {
     try {
       console.log('Loading projects for index page...');
-      const projects = await window.fetchProjects();
-      window.PageRenderer.renderIndexProjects(projects);
-      window.PageRenderer.renderHomepageSlider(projects);
+      await window.PageRenderer.loadIndexPage();
     } catch (error) {
       console.error('Error loading projects:', error);
     }
   }
 
+  // Page slug (homepage, works, about, contact) for a pathname
+  function slugFromPath(path) {
+    if (path === '/' || path === '/index.html' || path === '/index' || path === '') {
+      return 'homepage';
+    } else if (path.includes('/works')) {
+      return 'works';
+    } else if (path.includes('/about')) {
+      return 'about';
+    } else if (path.includes('/contact')) {
+      return 'contact';
+    }
+    return 'unknown';
+  }
+
   // Update body class based on data-slug
   function updateBodyClass(slug) {
     console.log('🔄 updateBodyClass called with slug:', slug);
@@ -1039,15 +997,7 @@
     if (!slug) {
       const path = window.location.pathname;
       console.log('No slug provided, detecting from path:', path);
-      if (path === '/' || path === '/index.html' || path === '/index' || path === '') {
-        slug = 'homepage';
-      } else if (path.includes('/works')) {
-        slug = 'works';
-      } else if (path.includes('/about')) {
-        slug = 'about';
-      } else if (path.includes('/contact')) {
-        slug = 'contact';
-      }
+      slug = slugFromPath(path);
     }
     
     // Add appropriate class based on slug
@@ -1073,13 +1023,16 @@
     }
   }
 
+  // Same test as app-init.js: a view still showing its skeleton (or an
+  // error) is loaded, one that is loading or loaded is left alone
+  function needsLoad(view) {
+    return !!window.PageRenderer && window.PageRenderer.needsLoad(view);
+  }
+
   // Listen for route changes and reapply header styles
   function setupRouteChangeListener() {
     console.log('🔧 Setting up SPA navigation with header sync...');
     
-    // Set flag immediately to prevent app-init.js from loading initial page
-    window.__initialPageLoaded = true;
-    
     // Store the target page slug when a link is clicked
     let targetSlug = null;
     let contentChangeDetected = false;
@@ -1125,17 +1078,19 @@
       debounceTimer = setTimeout(() => {
         if (DEBUG_LOGS) console.log('🔍 DOM changed, checking if content loaded for:', targetSlug);
         
-        // Verify content has actually changed by checking for page-specific elements
+        // Verify the new page has been swapped in by checking for its elements
+        // (skeletons included); whether its data still needs loading is
+        // decided by needsLoad() below
         let contentLoaded = false;
         
         if (targetSlug === 'contact') {
           const staffList = document.querySelector('.list--staff');
           const addressBox = document.querySelector('.box--address');
-          contentLoaded = staffList || addressBox || document.body.textContent.includes('Loading staff');
+          contentLoaded = staffList || addressBox;
           if (DEBUG_LOGS) console.log('Contact elements found:', { staffList: !!staffList, addressBox: !!addressBox });
         } else if (targetSlug === 'about') {
           const aboutBox = document.querySelector('.box--about');
-          contentLoaded = aboutBox || document.body.textContent.includes('Loading about');
+          contentLoaded = aboutBox;
           if (DEBUG_LOGS) console.log('About elements found:', { aboutBox: !!aboutBox });
         } else if (targetSlug === 'works') {
           const listWorks = document.querySelector('.list--works');
@@ -1159,14 +1114,23 @@
             applyHeaderStyles();
           }
           
+          // The router drops ?preview= from the URL; keep the preview session visible
+          if (window.PreviewMode && window.PreviewMode.isActive()) {
+            window.PreviewMode.restore();
+          }
+          
           // Trigger page-specific content loading
           console.log('📦 Triggering content loader for:', targetSlug);
           
           if (targetSlug === 'contact') {
-            console.log('✅ Calling loadContactContent()');
-            window.loadContactContent();
+            if (needsLoad('contact-staff') || needsLoad('contact-address')) {
+              console.log('✅ Calling loadContactContent()');
+              window.loadContactContent();
+            }
           } else if (targetSlug === 'about') {
-            if (typeof window.loadAboutContent === 'function') {
+            if (!needsLoad('about')) {
+              if (DEBUG_LOGS) console.log('⏸ About content already loading or loaded');
+            } else if (typeof window.loadAboutContent === 'function') {
               console.log('✅ Calling loadAboutContent()');
               window.loadAboutContent();
             } else {
@@ -1180,7 +1144,9 @@
               console.warn('⚠ loadProjects not defined yet');
             }
           } else if (targetSlug === 'homepage') {
-            if (typeof window.loadIndexProjects === 'function') {
+            if (!needsLoad('index-projects')) {
+              if (DEBUG_LOGS) console.log('⏸ Homepage projects already loading or loaded');
+            } else if (typeof window.loadIndexProjects === 'function') {
               console.log('✅ Calling loadIndexProjects()');
               window.loadIndexProjects();
             } else {
@@ -1223,6 +1189,13 @@
       initialSlug = 'contact';
     }
     
+    // Announce the initial route; app-init.js sees it and leaves the first load to us
+    bus.emit('route:change', {
+      path: window.location.pathname,
+      slug: initialSlug || slugFromPath(window.location.pathname),
+      initial: true
+    });
+    
     if (initialSlug) {
       console.log('✓ Initial page detected from body class:', initialSlug);
       // Body class is already correct, just apply header styles
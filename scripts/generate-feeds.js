@@ -0,0 +1,290 @@
+/**
+ * Sitemap, Robots and Work Feeds
+ * Builds the files crawlers and partner sites use to discover new work:
+ *
+ *   sitemap.xml   pages + one entry per project, with a video:video block
+ *                 from video_url / poster_image
+ *   robots.txt    allows everything but the API and preview links, points at the sitemap
+ *   feed.json     JSON Feed 1.1 of the latest projects
+ *   feed.xml      the same feed as RSS 2.0
+ *
+ * Usage:
+ *   node scripts/generate-feeds.js                # from data/project.json
+ *   node scripts/generate-feeds.js --cms          # from the CMS projects endpoint (local JSON if it fails)
+ *   node scripts/generate-feeds.js --out dist --limit 50
+ *
+ * Projects are normalized by the site's own DataLoader (assets/js/data-loader.js,
+ * run in a Node vm), so slugs and links match the pages exactly. Site name,
+ * URL and page paths come from `seo` in config.json. No dependencies needed.
+ *
+ * Nothing runs this at deploy time: the output is committed at the repo
+ * root (index.html and works.html link to the feeds), so re-run it and
+ * commit the files whenever projects are added, removed or renamed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_LIMIT = 20;
+
+// Browser modules DataLoader needs, in page order
+const MODULES = ['event-bus', 'env-config', 'resilient-fetch', 'data-loader'];
+
+function parseArgs(argv) {
+  const value = name => {
+    const index = argv.indexOf(name);
+    return index !== -1 ? argv[index + 1] : undefined;
+  };
+
+  return {
+    cms: argv.includes('--cms'),
+    out: value('--out') ? path.resolve(value('--out')) : ROOT,
+    limit: Number(value('--limit')) || DEFAULT_LIMIT
+  };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+// Same-origin paths are read from the repo; other URLs (the CMS) go to the network
+function siteFetch(siteUrl) {
+  const origin = new URL(siteUrl).origin;
+
+  return async (url, options) => {
+    const target = new URL(url, `${siteUrl}/`);
+    if (target.origin !== origin) {
+      return fetch(target.href, options);
+    }
+
+    const file = path.join(ROOT, decodeURIComponent(target.pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+      return new Response('Not found', { status: 404 });
+    }
+    return new Response(fs.readFileSync(file), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+}
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
+
+// A window-shaped sandbox with just enough for DataLoader to run
+function loadDataLoader(siteUrl, useCms) {
+  const quiet = {
+    log: () => {},
+    warn: (...args) => console.warn('  ', ...args),
+    error: (...args) => console.error('  ', ...args)
+  };
+  const sandbox = {
+    console: quiet,
+    location: new URL(siteUrl),
+    document: { querySelector: () => null },
+    localStorage: memoryStorage(),
+    sessionStorage: memoryStorage(),
+    fetch: siteFetch(siteUrl),
+    Response,
+    URL,
+    URLSearchParams,
+    AbortController,
+    setTimeout,
+    clearTimeout
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  MODULES.forEach(name => {
+    const file = path.join(ROOT, 'assets', 'js', `${name}.js`);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+
+    if (name === 'env-config') {
+      sandbox.EnvConfig.config.USE_CMS_API = useCms;
+      sandbox.EnvConfig.config.LIVE_UPDATES.ENABLED = false;
+    }
+  });
+
+  return sandbox.DataLoader;
+}
+
+function xml(text) {
+  return String(text == null ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function absoluteUrl(url, siteUrl) {
+  return url ? new URL(url, `${siteUrl}/`).href : '';
+}
+
+function projectSummary(project) {
+  return [project.client, project.category, project.classification].filter(Boolean).join(' – ');
+}
+
+// Newest first: CMS ids grow with every new project
+function latest(projects, limit) {
+  return projects
+    .slice()
+    .sort((a, b) => (Number(b.id) || 0) - (Number(a.id) || 0))
+    .slice(0, limit);
+}
+
+function videoEntry(project, siteUrl) {
+  const thumbnail = absoluteUrl(project.poster_image, siteUrl);
+  const content = absoluteUrl(project.video_url, siteUrl);
+  // Google needs a thumbnail, a title, a description and a video location
+  if (!thumbnail || !content || !project.title) return '';
+
+  const player = project.vimeo_id
+    ? `\n      <video:player_loc>https://player.vimeo.com/video/${xml(encodeURIComponent(project.vimeo_id))}</video:player_loc>`
+    : '';
+
+  return `
+    <video:video>
+      <video:thumbnail_loc>${xml(thumbnail)}</video:thumbnail_loc>
+      <video:title>${xml(project.title)}</video:title>
+      <video:description>${xml(projectSummary(project) || project.title)}</video:description>
+      <video:content_loc>${xml(content)}</video:content_loc>${player}
+      <video:family_friendly>yes</video:family_friendly>
+    </video:video>`;
+}
+
+function sitemap(projects, seo, siteUrl) {
+  const pages = Object.values(seo.pages || {})
+    .filter(page => page.path)
+    .map(page => `  <url>\n    <loc>${xml(absoluteUrl(page.path, siteUrl))}</loc>\n  </url>`);
+
+  const works = projects.map(project => `  <url>
+    <loc>${xml(absoluteUrl(project.link, siteUrl))}</loc>${videoEntry(project, siteUrl)}
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:video="http://www.google.com/schemas/sitemap-video/1.1">
+${pages.concat(works).join('\n')}
+</urlset>
+`;
+}
+
+function robots(siteUrl) {
+  return `User-agent: *
+Allow: /
+Disallow: /api/
+Disallow: /*?preview=
+Disallow: /*&preview=
+
+Sitemap: ${siteUrl}/sitemap.xml
+`;
+}
+
+function feedTitle(seo) {
+  return `${seo.siteName || 'DubaiFilmMaker'} – Latest work`;
+}
+
+function feedDescription(seo) {
+  const works = (seo.pages && seo.pages.works) || {};
+  return works.description || '';
+}
+
+function jsonFeed(projects, seo, siteUrl) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feedTitle(seo),
+    home_page_url: absoluteUrl('/works', siteUrl),
+    feed_url: absoluteUrl('/feed.json', siteUrl),
+    description: feedDescription(seo),
+    language: 'en',
+    items: projects.map(project => {
+      const url = absoluteUrl(project.link, siteUrl);
+      const item = {
+        id: url,
+        url,
+        title: project.title,
+        content_text: projectSummary(project) || project.title,
+        image: absoluteUrl(project.poster_image, siteUrl) || undefined,
+        tags: [project.category, project.classification].filter(Boolean)
+      };
+      if (project.video_url) {
+        item.attachments = [{ url: absoluteUrl(project.video_url, siteUrl), mime_type: 'video/mp4' }];
+      }
+      return item;
+    })
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
+
+function rssFeed(projects, seo, siteUrl) {
+  const items = projects.map(project => {
+    const url = absoluteUrl(project.link, siteUrl);
+    const video = absoluteUrl(project.video_url, siteUrl);
+    const poster = absoluteUrl(project.poster_image, siteUrl);
+    const categories = [project.category, project.classification]
+      .filter(Boolean)
+      .map(category => `\n      <category>${xml(category)}</category>`)
+      .join('');
+
+    return `    <item>
+      <title>${xml(project.title)}</title>
+      <link>${xml(url)}</link>
+      <guid isPermaLink="true">${xml(url)}</guid>
+      <description>${xml(projectSummary(project) || project.title)}</description>${categories}${
+      poster ? `\n      <media:thumbnail url="${xml(poster)}" />` : ''}${
+      video ? `\n      <enclosure url="${xml(video)}" length="0" type="video/mp4" />` : ''}
+    </item>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${xml(feedTitle(seo))}</title>
+    <link>${xml(absoluteUrl('/works', siteUrl))}</link>
+    <description>${xml(feedDescription(seo))}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+    <atom:link href="${xml(absoluteUrl('/feed.xml', siteUrl))}" rel="self" type="application/rss+xml" />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+function write(out, name, content) {
+  fs.mkdirSync(out, { recursive: true });
+  fs.writeFileSync(path.join(out, name), content);
+  console.log(`✓ ${name}`);
+}
+
+async function main() {
+  const { cms, out, limit } = parseArgs(process.argv.slice(2));
+  const seo = readJson('config.json').seo || {};
+  const siteUrl = String(seo.siteUrl || 'http://localhost').replace(/\/+$/, '');
+
+  const projects = await loadDataLoader(siteUrl, cms).fetchProjects();
+  const recent = latest(projects, limit);
+  console.log(`✓ ${projects.length} project(s) from ${cms ? 'the CMS' : 'data/project.json'}`);
+
+  write(out, 'sitemap.xml', sitemap(projects, seo, siteUrl));
+  write(out, 'robots.txt', robots(siteUrl));
+  write(out, 'feed.json', jsonFeed(recent, seo, siteUrl));
+  write(out, 'feed.xml', rssFeed(recent, seo, siteUrl));
+}
+
+main().catch(error => {
+  console.error('✗ Feed generation failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,231 @@
+/**
+ * Static Prerender
+ * Writes fully rendered pages so search engines and link unfurlers (which do
+ * not run JavaScript) see content and meta tags instead of "Loading" shells:
+ *
+ *   works/<slug>.html   one per project in data/project.json (from works/project-detail.html)
+ *   about.html          from data/about.json
+ *   contact.html        from data/contact.json
+ *
+ * The pages are rendered by the browser modules themselves (DataLoader,
+ * PageRenderer, ProjectNavigation, SeoMeta) inside jsdom, with the CMS
+ * switched off so only the local JSON is read. Each page is stamped with
+ * data-prerendered / data-prerender-key; PageRenderer keeps the markup on
+ * load when the data it fetches still matches (see hydrates() there).
+ *
+ * Usage:
+ *   npm install --no-save jsdom            # once; the site itself has no build dependencies
+ *   node scripts/prerender.js              # writes into dist/
+ *   node scripts/prerender.js --out build  # writes into build/ instead
+ *
+ * The output goes to a build directory, never over the source shells:
+ * about.html and contact.html would otherwise get rendered content and
+ * injected styles baked in. Copy it over the site files in the deploy
+ * build; Vercel then serves works/<slug>.html for /works/<slug> before the
+ * project-detail rewrite applies. Existing works/*.html pages that were not
+ * written by this script (works/viktor-rolf.html ...) are never overwritten,
+ * and prerendered pages of projects that no longer exist are removed.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const DETAIL_SHELL = path.join(ROOT, 'works', 'project-detail.html');
+const DEFAULT_OUT = path.join(ROOT, 'dist');
+
+// Loaded into every page window, in the order the pages load them
+const MODULES = [
+  'event-bus',
+  'env-config',
+  'resilient-fetch',
+  'data-loader',
+  'safe-html',
+  'page-states',
+  'project-card',
+  'project-navigation',
+  'page-renderer',
+  'seo-meta'
+];
+
+function loadJsdom() {
+  try {
+    return require('jsdom');
+  } catch (error) {
+    console.error('✗ scripts/prerender.js needs jsdom: run `npm install --no-save jsdom` first');
+    process.exit(1);
+  }
+}
+
+const { JSDOM, VirtualConsole } = loadJsdom();
+
+function parseArgs(argv) {
+  const outIndex = argv.indexOf('--out');
+  return {
+    out: outIndex !== -1 && argv[outIndex + 1] ? path.resolve(argv[outIndex + 1]) : DEFAULT_OUT
+  };
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+// fetch() for the page windows: same-origin paths are read from the repo,
+// anything else (the CMS) fails so DataLoader uses the local JSON
+function localFetch(siteUrl) {
+  const origin = new URL(siteUrl).origin;
+
+  return async url => {
+    const target = new URL(url, `${siteUrl}/`);
+    if (target.origin !== origin) {
+      throw new TypeError(`Network disabled during prerender: ${target.href}`);
+    }
+
+    const file = path.join(ROOT, decodeURIComponent(target.pathname));
+    if (!file.startsWith(ROOT) || !fs.existsSync(file)) {
+      return new Response('Not found', { status: 404 });
+    }
+    return new Response(fs.readFileSync(file), {
+      status: 200,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+}
+
+// Only warnings and errors from the page modules reach the terminal
+function quietConsole() {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('warn', (...args) => console.warn('  ', ...args));
+  virtualConsole.on('error', (...args) => console.error('  ', ...args));
+  virtualConsole.on('jsdomError', error => console.error('  ', error.message));
+  return virtualConsole;
+}
+
+function createPage(shellFile, url, siteUrl) {
+  const dom = new JSDOM(fs.readFileSync(shellFile, 'utf8'), {
+    url,
+    runScripts: 'outside-only',
+    virtualConsole: quietConsole()
+  });
+  const { window } = dom;
+
+  window.fetch = localFetch(siteUrl);
+  // Nothing scrolls at build time, so lazy media keeps its data-src
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+
+  // Leftovers from an earlier run must not be hydrated instead of rendered
+  window.document.documentElement.removeAttribute('data-prerendered');
+  window.document.documentElement.removeAttribute('data-prerender-key');
+
+  MODULES.forEach(name => {
+    window.eval(fs.readFileSync(path.join(ROOT, 'assets', 'js', `${name}.js`), 'utf8'));
+
+    if (name === 'env-config') {
+      window.EnvConfig.config.USE_CMS_API = false;
+      window.EnvConfig.config.LIVE_UPDATES.ENABLED = false;
+    }
+  });
+
+  return dom;
+}
+
+function stamp(dom, view, data) {
+  const root = dom.window.document.documentElement;
+  root.setAttribute('data-prerendered', view);
+  root.setAttribute('data-prerender-key', dom.window.PageRenderer.prerenderKey(data));
+}
+
+function write(out, relativePath, dom) {
+  const file = path.join(out, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, dom.serialize());
+  dom.window.close();
+  console.log(`✓ ${relativePath}`);
+}
+
+function isPrerendered(file) {
+  return /<html[^>]*\sdata-prerendered=/.test(fs.readFileSync(file, 'utf8'));
+}
+
+async function prerenderProject(project, siteUrl, out) {
+  const relativePath = path.join('works', `${project.slug}.html`);
+  const target = path.join(out, relativePath);
+  // dist/ is copied over the site, so a hand-written source page counts too
+  const handWritten = [target, path.join(ROOT, relativePath)]
+    .some(file => fs.existsSync(file) && !isPrerendered(file));
+
+  if (handWritten) {
+    console.warn(`⚠ Skipping ${relativePath}: a hand-written page already exists`);
+    return;
+  }
+
+  const dom = createPage(DETAIL_SHELL, `${siteUrl}${project.link}`, siteUrl);
+  const { window } = dom;
+
+  await window.PageRenderer.loadProjectDetailPage();
+  await window.SeoMeta.updateProject(project);
+
+  stamp(dom, 'project-detail', project);
+  write(out, relativePath, dom);
+}
+
+async function prerenderPage(slug, fetchName, render, siteUrl, out) {
+  const relativePath = `${slug}.html`;
+  const dom = createPage(path.join(ROOT, relativePath), `${siteUrl}/${slug}`, siteUrl);
+  const { window } = dom;
+
+  const data = await window[fetchName]();
+  window.PageRenderer[render](data.page);
+  await window.SeoMeta.updatePage(slug);
+
+  stamp(dom, slug, data.page);
+  write(out, relativePath, dom);
+}
+
+// Drop prerendered pages whose project is gone; hand-written pages stay
+function removeStalePages(out, slugs) {
+  const dir = path.join(out, 'works');
+  if (!fs.existsSync(dir)) return;
+
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.html') && name !== 'project-detail.html')
+    .filter(name => !slugs.has(name.replace(/\.html$/, '')))
+    .forEach(name => {
+      const file = path.join(dir, name);
+      if (!isPrerendered(file)) return;
+      fs.unlinkSync(file);
+      console.log(`✓ Removed works/${name} (project no longer listed)`);
+    });
+}
+
+async function main() {
+  const { out } = parseArgs(process.argv.slice(2));
+  const config = readJson('config.json');
+  const siteUrl = String((config.seo && config.seo.siteUrl) || 'http://localhost').replace(/\/+$/, '');
+
+  // One window just to normalize the list the same way the site does
+  const listDom = createPage(DETAIL_SHELL, `${siteUrl}/works`, siteUrl);
+  const projects = await listDom.window.fetchProjects();
+  listDom.window.close();
+
+  for (const project of projects) {
+    await prerenderProject(project, siteUrl, out);
+  }
+  removeStalePages(out, new Set(projects.map(project => project.slug)));
+
+  await prerenderPage('about', 'fetchAbout', 'renderAboutContent', siteUrl, out);
+  await prerenderPage('contact', 'fetchContact', 'renderContactContent', siteUrl, out);
+
+  console.log(`✓ Prerendered ${projects.length} project page(s), about and contact into ${path.relative(ROOT, out) || '.'}`);
+}
+
+main().catch(error => {
+  console.error('✗ Prerender failed:', error);
+  process.exitCode = 1;
+});
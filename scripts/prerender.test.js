@@ -0,0 +1,73 @@
+/**
+ * Prerender Test
+ * Runs scripts/prerender.js on a copy of the site whose first project has a
+ * hostile title, and checks the JSON-LD in the written page stays inside
+ * its <script> tag.
+ *
+ * Usage:
+ *   npm install --no-save jsdom    # as for the prerender itself
+ *   node --test scripts/
+ */
+
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const test = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+// What the prerender reads from the repo
+const SITE_FILES = ['assets/js', 'data', 'config.json', 'works/project-detail.html', 'about.html', 'contact.html', 'scripts/prerender.js'];
+const HOSTILE_TITLE = 'Plan</script><script>alert(1)</script>';
+
+function hasJsdom() {
+  try {
+    require.resolve('jsdom');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function copySite(dir) {
+  SITE_FILES.forEach(file => {
+    fs.cpSync(path.join(ROOT, file), path.join(dir, file), { recursive: true });
+  });
+}
+
+test('a </script> in a project title cannot leave the JSON-LD script', { skip: !hasJsdom() && 'jsdom is not installed' }, () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prerender-test-'));
+
+  try {
+    copySite(dir);
+    const dataFile = path.join(dir, 'data', 'project.json');
+    const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    data.projects = [{ ...data.projects[0], title: HOSTILE_TITLE, link: '/works/hostile-title' }];
+    fs.writeFileSync(dataFile, JSON.stringify(data));
+
+    execFileSync(process.execPath, [path.join(dir, 'scripts', 'prerender.js'), '--out', path.join(dir, 'dist')], {
+      env: { ...process.env, NODE_PATH: path.dirname(path.dirname(require.resolve('jsdom/package.json'))) },
+      stdio: 'pipe'
+    });
+
+    const pages = fs.readdirSync(path.join(dir, 'dist', 'works'));
+    assert.strictEqual(pages.length, 1);
+    const page = fs.readFileSync(path.join(dir, 'dist', 'works', pages[0]), 'utf8');
+
+    // Parsed as a browser would: the title may show up in attributes, but
+    // never as a script of its own
+    const { JSDOM } = require('jsdom');
+    const { document } = new JSDOM(page).window;
+    const scripts = Array.from(document.querySelectorAll('script'));
+    assert.ok(!scripts.some(script => script.textContent === 'alert(1)'), 'the title closed the JSON-LD script');
+
+    const jsonLd = document.querySelector('script[type="application/ld+json"]');
+    assert.ok(jsonLd, 'no JSON-LD in the prerendered page');
+    assert.strictEqual(JSON.parse(jsonLd.textContent).name, HOSTILE_TITLE);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
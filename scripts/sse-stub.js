@@ -0,0 +1,86 @@
+/**
+ * Local SSE Stub
+ * Stands in for the CMS change stream while developing live updates.
+ * Every save of data/project.json (or a request to /notify) sends a
+ * `projects` event to all connected tabs, which then refetch the list.
+ *
+ * Usage:
+ *   node scripts/sse-stub.js            # listens on http://localhost:3002
+ *   PORT=4000 node scripts/sse-stub.js
+ *
+ * The development profile in assets/js/env-config.js points
+ * LIVE_UPDATES.SSE_URL at http://localhost:3002/events; set its MODE to
+ * 'sse' and open the site with ?env=dev to listen to it.
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 3002;
+const WATCHED_FILE = path.join(__dirname, '..', 'data', 'project.json');
+const KEEPALIVE_MS = 25 * 1000;
+
+const clients = new Set();
+
+function broadcast(reason) {
+  const payload = JSON.stringify({ reason, changedAt: new Date().toISOString() });
+  clients.forEach(response => {
+    response.write(`event: projects\ndata: ${payload}\n\n`);
+  });
+  console.log(`→ projects event (${reason}) sent to ${clients.size} client(s)`);
+}
+
+function openStream(request, response) {
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  // Ask browsers to reconnect quickly when the stub restarts
+  response.write('retry: 3000\n\n');
+
+  clients.add(response);
+  console.log(`✓ Client connected (${clients.size} open)`);
+
+  request.on('close', () => {
+    clients.delete(response);
+    console.log(`✓ Client disconnected (${clients.size} open)`);
+  });
+}
+
+const server = http.createServer((request, response) => {
+  const { pathname } = new URL(request.url, `http://localhost:${PORT}`);
+
+  if (pathname === '/events') {
+    openStream(request, response);
+  } else if (pathname === '/notify') {
+    broadcast('manual');
+    response.writeHead(204, { 'Access-Control-Allow-Origin': '*' });
+    response.end();
+  } else {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found. Use /events or /notify\n');
+  }
+});
+
+// Editors save in bursts (temp file + rename), so collapse them into one event
+let debounceTimer = null;
+fs.watch(path.dirname(WATCHED_FILE), (eventType, filename) => {
+  if (filename !== path.basename(WATCHED_FILE)) return;
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => broadcast('data/project.json changed'), 200);
+});
+
+// Comment lines keep proxies from closing idle streams
+setInterval(() => {
+  clients.forEach(response => response.write(': keepalive\n\n'));
+}, KEEPALIVE_MS).unref();
+
+server.listen(PORT, () => {
+  console.log(`✓ SSE stub listening on http://localhost:${PORT}/events`);
+  console.log(`  Watching ${path.relative(process.cwd(), WATCHED_FILE)}; trigger manually with /notify`);
+});
@@ -0,0 +1,81 @@
+/**
+ * Service Worker Cache Version
+ * Stamps CACHE_VERSION in sw.js with a hash of every file the worker
+ * precaches (SHELL_URLS and DATA_URLS), so any change to one of them
+ * installs fresh caches and drops the old ones on activate.
+ *
+ * Usage:
+ *   node scripts/sw-version.js            # rewrite CACHE_VERSION in sw.js
+ *   node scripts/sw-version.js --check    # exit 1 when it is out of date
+ *
+ * Run it before committing a change to any precached file;
+ * scripts/sw-version.test.js fails while the stamp is stale.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const SW_FILE = path.join(ROOT, 'sw.js');
+const VERSION_PATTERN = /const CACHE_VERSION = '([^']*)';/;
+
+function readList(source, name) {
+  const match = source.match(new RegExp(`const ${name} = (\\[[\\s\\S]*?\\]);`));
+  if (!match) throw new Error(`${name} not found in sw.js`);
+  return vm.runInNewContext(match[1]);
+}
+
+// Clean URLs are served from the .html file of the same name (vercel.json cleanUrls)
+function fileFor(url) {
+  const file = url === '/' ? 'index.html' : url.slice(1);
+  return path.extname(file) ? file : `${file}.html`;
+}
+
+function computeVersion(source) {
+  const urls = [...readList(source, 'SHELL_URLS'), ...readList(source, 'DATA_URLS')];
+  const hash = crypto.createHash('sha256');
+
+  urls.forEach(url => {
+    // Line endings are normalized so a CRLF checkout hashes the same
+    const content = fs.readFileSync(path.join(ROOT, fileFor(url)), 'latin1').replace(/\r\n/g, '\n');
+    hash.update(`${url}\0${content}\0`);
+  });
+
+  return hash.digest('hex').slice(0, 12);
+}
+
+function main() {
+  const source = fs.readFileSync(SW_FILE, 'utf8');
+  const current = source.match(VERSION_PATTERN);
+  if (!current) throw new Error('CACHE_VERSION not found in sw.js');
+
+  const version = computeVersion(source);
+
+  if (process.argv.includes('--check')) {
+    if (current[1] !== version) {
+      console.error(`✗ sw.js CACHE_VERSION is '${current[1]}', precached files hash to '${version}': run node scripts/sw-version.js`);
+      process.exit(1);
+    }
+    console.log(`✓ CACHE_VERSION '${version}' is current`);
+    return;
+  }
+
+  if (current[1] === version) {
+    console.log(`✓ CACHE_VERSION '${version}' unchanged`);
+    return;
+  }
+
+  fs.writeFileSync(SW_FILE, source.replace(VERSION_PATTERN, `const CACHE_VERSION = '${version}';`));
+  console.log(`✓ CACHE_VERSION '${current[1]}' → '${version}'`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('✗ Could not stamp the cache version:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,18 @@
+/**
+ * Service Worker Cache Version Test
+ * Fails while CACHE_VERSION in sw.js does not match the precached files,
+ * i.e. one of them changed without re-running scripts/sw-version.js.
+ *
+ * Usage:
+ *   node --test scripts/
+ */
+
+'use strict';
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const test = require('node:test');
+
+test('CACHE_VERSION matches the precached files', () => {
+  execFileSync(process.execPath, [path.join(__dirname, 'sw-version.js'), '--check'], { stdio: 'pipe' });
+});
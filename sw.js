@@ -0,0 +1,203 @@
+/**
+ * Offline Service Worker
+ * Precaches the page shells, bundles, local JSON and project posters so
+ * the site can be demoed without a connection.
+ *
+ * It deliberately does not touch CMS requests: when offline they fail,
+ * DataLoader falls back to data/*.json as usual, and those are answered
+ * from the cache here.
+ */
+
+// Hash of every precached file, stamped by scripts/sw-version.js: re-run
+// it whenever one of them changes so clients pick up fresh caches
+const CACHE_VERSION = '36458b303c29';
+const SHELL_CACHE = `dfm-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `dfm-data-${CACHE_VERSION}`;
+const MEDIA_CACHE = `dfm-media-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  // Clean URLs: with cleanUrls on, the .html paths redirect, and a
+  // redirected response cannot answer a navigation
+  '/',
+  '/works',
+  '/about',
+  '/contact',
+  '/works/project-detail',
+  '/assets/dist/build.min.css',
+  '/assets/dist/build.min.js',
+  '/assets/css/templates/about.css',
+  '/assets/js/event-bus.js',
+  '/assets/js/env-config.js',
+  '/assets/js/preview-mode.js',
+  '/assets/js/resilient-fetch.js',
+  '/assets/js/data-loader.js',
+  '/assets/js/safe-html.js',
+  '/assets/js/page-states.js',
+  '/assets/js/project-card.js',
+  '/assets/js/project-navigation.js',
+  '/assets/js/hover-init.js',
+  '/assets/js/page-renderer.js',
+  '/assets/js/homepage-slider.js',
+  '/assets/js/seo-meta.js',
+  '/assets/js/category-filter.js',
+  '/assets/js/project-search.js',
+  '/assets/js/contact-form.js',
+  '/assets/js/app-init.js',
+  '/assets/js/site-config.js',
+  '/assets/js/offline.js',
+  '/assets/img/dubaifilmmaker.svg',
+  '/assets/img/dubaifilmmaker-logo-dark-bolder.svg',
+  '/assets/img/version_2/dubaifilmmaker.svg',
+  '/favicon.ico'
+];
+
+const DATA_URLS = [
+  '/data/project.json',
+  '/data/about.json',
+  '/data/contact.json',
+  '/data/header.json',
+  '/config.json',
+  '/projects-data.json'
+];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    Promise.all([
+      caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_URLS)),
+      caches.open(DATA_CACHE).then(cache => cache.addAll(DATA_URLS)),
+      precacheLocalPosters()
+    ]).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, DATA_CACHE, MEDIA_CACHE];
+
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('dfm-') && !current.includes(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages post the posters of CMS projects once DataLoader has them
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'precache-posters') {
+    event.waitUntil(cachePosters(event.data.urls || []));
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, shellFallback(url)));
+  } else if (sameOrigin && isDataRequest(url)) {
+    event.respondWith(networkFirst(request, DATA_CACHE));
+  } else if (sameOrigin && url.pathname.startsWith('/assets/')) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, MEDIA_CACHE));
+  }
+  // Everything else (CMS API, video streams) goes straight to the network
+});
+
+function isDataRequest(url) {
+  return url.pathname.startsWith('/data/') || DATA_URLS.includes(url.pathname);
+}
+
+// Offline, a page is answered from the precached clean URL it is served
+// from: /works/<slug> from the project detail shell, /about.html from /about
+function shellFallback(url) {
+  const path = url.pathname.replace(/\/$/, '').replace(/\.html$/, '');
+
+  if (path === '' || path === '/index') return '/';
+  if (path.startsWith('/works/')) return '/works/project-detail';
+  return path;
+}
+
+async function networkFirst(request, cacheName, fallbackUrl) {
+  const cache = await caches.open(cacheName);
+
+  try {
+    const response = await fetch(request);
+    // A redirected response would be refused when replayed for a navigation
+    if (response.ok && !response.redirected) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || (fallbackUrl && await caches.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    })
+    .catch(() => cached);
+
+  return cached || network;
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreVary: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Cross-origin posters come back opaque (status 0) and are still worth keeping
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function precacheLocalPosters() {
+  try {
+    const response = await fetch('/data/project.json');
+    const data = await response.json();
+    const urls = [];
+
+    (data.projects || []).forEach(project => {
+      if (project.poster_image) urls.push(project.poster_image);
+      urls.push(...srcsetUrls(project.poster_image_srcset));
+    });
+
+    await cachePosters(urls);
+  } catch (error) {
+    // Posters are a nice-to-have; never fail the install over them
+  }
+}
+
+async function cachePosters(urls) {
+  const cache = await caches.open(MEDIA_CACHE);
+  const unique = [...new Set(urls.filter(Boolean))];
+
+  await Promise.allSettled(unique.map(async url => {
+    if (await cache.match(url, { ignoreVary: true })) return;
+    const response = await fetch(new Request(url, { mode: 'no-cors' }));
+    await cache.put(url, response);
+  }));
+}
+
+function srcsetUrls(srcset) {
+  return (srcset || '')
+    .split(',')
+    .map(candidate => candidate.trim().split(/\s+/)[0])
+    .filter(Boolean);
+}